@@ -0,0 +1,14 @@
+import fs from 'fs';
+
+// bundles of deleted or renamed tests would still run, start from an empty output
+fs.rmSync('test/dist', { recursive: true, force: true });
+
+// bundle each test file with the sources it imports, so node can run them
+export default {
+    input: fs.readdirSync('test').filter(file => file.endsWith('.test.js')).map(file => 'test/' + file),
+    external: ['assert', 'node:test'],
+    output: {
+        dir: 'test/dist',
+        format: 'cjs'
+    }
+};
@@ -49,12 +49,13 @@ export default class Animator {
      * @param {Vec2} pos
      * @param {boolean} flip
      * @param {number} scale
+     * @param {boolean} [flipY] draw upside down
      */
-    draw(ctx, dt, pos, flip, scale = 1) {
+    draw(ctx, dt, pos, flip, scale = 1, flipY = false) {
         if (!this.animMap.has(this.currentKey)) {
             return;
         }
         const animeClip = this.animMap.get(this.currentKey);
-        animeClip.draw(ctx, dt, flip, pos, scale);
+        animeClip.draw(ctx, dt, flip, pos, scale, flipY);
     }
 }
@@ -55,8 +55,9 @@ export default class AnimeClip {
      * @param {boolean} flip
      * @param {Vec2} pos
      * @param {number} scale
+     * @param {boolean} [flipY] draw upside down
      */
-    draw(ctx, dt, flip, pos, scale = 1) {
+    draw(ctx, dt, flip, pos, scale = 1, flipY = false) {
         const frame = this.frames[this.currentFrameIdx];
         const image = this.images[frame.idx];
         ctx.save()
@@ -66,8 +67,8 @@ export default class AnimeClip {
         const h = image.height * scale;
         const p = frame.pivot.mul(scale);
         ctx.translate(pos.x, pos.y);
-        if (flip) {
-            ctx.scale(-1, 1)
+        if (flip || flipY) {
+            ctx.scale(flip ? -1 : 1, flipY ? -1 : 1);
         }
         ctx.drawImage(image, -p.x, -p.y, w, h);
         ctx.restore();
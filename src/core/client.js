@@ -60,10 +60,25 @@ export default class Client extends Instance {
                     this.mainPlayer.onMainPlayerReceiveServerMove(moveMsg);
                 }
             }
+            this.receivePropStates(replicateMoveMsg.propStates);
             replicateMoveMsg = this.recvChannel.fetch(this.currentTime);
         }
     }
 
+    /**
+     * server is authority of props, but props pushed by unacknowledged moves keep predicted state,
+     * unless these moves will be replayed from corrected state
+     * @param {import("./geom/dynamicProp").PropState[]} propStates
+     */
+    receivePropStates(propStates) {
+        for (let propState of propStates) {
+            const prop = this.scene.props[propState.id];
+            if (prop && (this.mainPlayer.needReconciliation || !this.mainPlayer.isPredictingProp(propState.id))) {
+                prop.restoreState(propState);
+            }
+        }
+    }
+
     /**
      * @param {number} dt
      */
@@ -81,6 +96,15 @@ export default class Client extends Instance {
             if (this.input.getActionUp("jump")) {
                 this.mainPlayer.stopJumping();
             }
+            if (this.input.getActionDown("dash")) {
+                this.mainPlayer.dash();
+            }
+            if (this.input.getActionDown("crouch")) {
+                this.mainPlayer.crouch();
+            }
+            if (this.input.getActionUp("crouch")) {
+                this.mainPlayer.unCrouch();
+            }
             this.mainPlayer.addMovement(inputVec);
         }
         super.update(dt);
@@ -126,7 +150,7 @@ export default class Client extends Instance {
         this.sendChannel = null;
         this.recvChannel = null;
         this.mainPlayer.id = 0;
-        this.players.splice(1);
+        this.removePlayers(1);
         this.connected = false;
         this.mainPlayer.isNetMode = false;
         this.mainPlayer.clearNetState();
@@ -150,7 +174,7 @@ export default class Client extends Instance {
     removeRemotePlayer(id) {
         const idx = this.players.findIndex(player => player.id == id);
         if (idx > 0) {
-            this.players.splice(idx, 1);
+            this.removePlayers(idx, 1);
         }
     }
 
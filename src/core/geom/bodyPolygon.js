@@ -0,0 +1,74 @@
+// @ts-check
+
+import Vec2 from "../../algebra/vec2";
+import Polygon from "./polygon";
+import Capsule from "./capsule";
+
+// odd count of segments on each hemisphere leaves a flat top to stand on
+const ARC_SEGMENTS = 5;
+
+/**
+ * @param {Capsule} capsule
+ * @return {Vec2[]} outline of capsule, clockwise order
+ */
+function computeCapsuleOutline(capsule) {
+    const points = [];
+    // top hemisphere from left to right
+    for (let i = 0; i <= ARC_SEGMENTS; i++) {
+        const angle = Math.PI + Math.PI * i / ARC_SEGMENTS;
+        points.push(capsule.a.add(new Vec2(Math.cos(angle), Math.sin(angle)).mul(capsule.radius)));
+    }
+    // bottom hemisphere from right to left
+    for (let i = 0; i <= ARC_SEGMENTS; i++) {
+        const angle = Math.PI * i / ARC_SEGMENTS;
+        points.push(capsule.b.add(new Vec2(Math.cos(angle), Math.sin(angle)).mul(capsule.radius)));
+    }
+    return points;
+}
+
+/**
+ * blocking body of a player, a polygon approximating its capsule
+ */
+export default class BodyPolygon extends Polygon {
+    /**
+     * @param {Capsule} capsule
+     */
+    constructor(capsule) {
+        super(computeCapsuleOutline(capsule));
+        // disabled when owner is moving, so owner does not collide with itself
+        this.collisionEnabled = true;
+    }
+
+    /**
+     * follow capsule of owner
+     * @param {Capsule} capsule
+     */
+    setCapsule(capsule) {
+        this.points = computeCapsuleOutline(capsule);
+    }
+
+    /**
+     * @param {(p0: Vec2, p1: Vec2, index: number) => void} callback
+     */
+    eachSegment(callback) {
+        if (this.collisionEnabled) {
+            super.eachSegment(callback);
+        }
+    }
+
+    /**
+     * @param {Vec2} point
+     * @return {boolean}
+     */
+    containsPoint(point) {
+        return this.collisionEnabled && super.containsPoint(point);
+    }
+
+    /**
+     * owner draws itself
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    draw(ctx) {
+        // nothing to draw, the player owning this body is drawn as a capsule
+    }
+}
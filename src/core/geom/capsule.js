@@ -3,9 +3,17 @@
 import Vec2 from "../../algebra/vec2";
 import * as Util from "./util";
 import Scene from "../scene";
+import Polygon, { CollisionType } from "./polygon";
 
 export { HitResult } from "./util";
 
+/**
+ * @typedef {Object} Penetration
+ * @property {Polygon} polygon - overlapping polygon
+ * @property {Vec2} normal - direction to push capsule out
+ * @property {number} depth - distance to push capsule out
+ */
+
 export default class Capsule {
     /**
      * @param {Vec2} center
@@ -38,6 +46,15 @@ export default class Capsule {
         this.b = center.add(new Vec2(0, this.halfHeight));
     }
 
+    /**
+     * resize this capsule, center is not changed
+     * @param {number} halfHeight
+     */
+    setHalfHeight(halfHeight) {
+        this.halfHeight = halfHeight;
+        this.center = this._center;
+    }
+
     /**
      * draw this polygon
      * @param {CanvasRenderingContext2D} ctx
@@ -74,20 +91,113 @@ export default class Capsule {
      * @return {boolean}
      */
     overlayTest(scene, tolerance = 0.1) {
+        for (let polygon of scene.polygons) {
+            // one-way polygons can be passed through from inside
+            if (polygon.collisionType != CollisionType.oneWay && this.overlayTestPolygon(polygon, tolerance)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @param {Polygon} polygon
+     * @param {number} [tolerance]
+     * @return {boolean}
+     */
+    overlayTestPolygon(polygon, tolerance = 0.1) {
         let overlay = false;
+        polygon.eachSegment((p0, p1) => {
+            if (overlay) {
+                return;
+            }
+            let result = Util.segmentShortestTest(this.a, this.b, p0, p1);
+            overlay = result.dist < this.radius + tolerance;
+        });
+        return overlay;
+    }
+
+    /**
+     * capsule sunk deeper than its radius has no segment close to its core segment,
+     * push it out of the nearest outward face of the polygon containing its core instead
+     * @param {Scene} scene
+     * @param {Polygon} polygon
+     * @param {number} [tolerance]
+     * @return {Penetration} null if core segment is not inside solid of polygon
+     */
+    computeContainment(scene, polygon, tolerance = 0.1) {
+        // solid of bound polygon is its outside
+        const isBound = polygon == scene.polygons[0];
+        const insideA = polygon.containsPoint(this.a) != isBound;
+        const insideB = polygon.containsPoint(this.b) != isBound;
+        if (!insideA && !insideB) {
+            return null;
+        }
+        /** @type {Penetration} */
+        let nearest = null;
+        /** @type {Penetration} */
+        let nearestUnreachable = null;
+        polygon.eachSegment((p0, p1) => {
+            const segment = p1.sub(p0);
+            const segmentDir = segment.normalize();
+            // faces out of solid for clockwise polygons and counterclockwise bound
+            const normal = new Vec2(segmentDir.y, -segmentDir.x);
+            const deepest = this.a.sub(p0).dot(normal) < this.b.sub(p0).dot(normal) ? this.a : this.b;
+            const depth = this.radius + tolerance - deepest.sub(p0).dot(normal);
+            if (depth <= 0) {
+                return;
+            }
+            const penetration = { polygon: polygon, normal: normal, depth: depth };
+            const along = deepest.sub(p0).dot(segmentDir);
+            if (along >= 0 && along <= segment.length()) {
+                if (!nearest || depth < nearest.depth) {
+                    nearest = penetration;
+                }
+            } else if (!nearestUnreachable || depth < nearestUnreachable.depth) {
+                nearestUnreachable = penetration;
+            }
+        });
+        return nearest || nearestUnreachable;
+    }
+
+    /**
+     * find all segments overlapping this capsule, one-way polygons are ignored
+     * @param {Scene} scene
+     * @param {number} [tolerance]
+     * @return {Penetration[]}
+     */
+    computePenetrations(scene, tolerance = 0.1) {
+        /** @type {Penetration[]} */
+        const penetrations = [];
+        const isCoreInsideSolid = scene.isInsideSolid(this.a) || scene.isInsideSolid(this.b);
         for (let polygon of scene.polygons) {
+            if (polygon.collisionType == CollisionType.oneWay) {
+                continue;
+            }
+            const containment = isCoreInsideSolid ? this.computeContainment(scene, polygon, tolerance) : null;
+            if (containment) {
+                // normals of the closest points point further inside
+                penetrations.push(containment);
+                continue;
+            }
             polygon.eachSegment((p0, p1) => {
-                if (overlay) {
-                    return;
+                const result = Util.segmentShortestTest(this.a, this.b, p0, p1);
+                if (result.dist < this.radius + tolerance) {
+                    let normal = result.pa.sub(result.pb).normalize();
+                    if (normal.isZero()) {
+                        // core segment crosses the segment, push out along face normal
+                        const segmentDir = p1.sub(p0).normalize();
+                        normal = new Vec2(segmentDir.y, -segmentDir.x);
+                    }
+                    penetrations.push({
+                        polygon: polygon,
+                        normal: normal,
+                        depth: this.radius + tolerance - result.dist,
+                    });
                 }
-                let result = Util.segmentShortestTest(this.a, this.b, p0, p1);
-                overlay = result.dist < this.radius + tolerance;
             });
-            if (overlay) {
-                return overlay;
-            }
         }
-        return overlay;
+        return penetrations;
     }
 
     /**
@@ -140,7 +250,10 @@ export default class Capsule {
                 const segmentDir = p1.sub(p0).normalize();
                 hitResult.impactNormal = new Vec2(segmentDir.y, -segmentDir.x);
                 hitResult.location = this.center.add(dir.mul(offset));
-                hitResult.normal = hitResult.location.sub(hitResult.impactPoint).normalize();
+                hitResult.normal = result.pa.sub(result.pb).normalize();
+                if (hitResult.normal.isZero()) {
+                    hitResult.normal = hitResult.location.sub(hitResult.impactPoint).normalize();
+                }
                 return hitResult;
             } else if (result.dist > lastGap) {
                 break;
@@ -151,24 +264,73 @@ export default class Capsule {
         return hitResult;
     }
 
+    /**
+     * sweep test segment of polygon, respect collision type of polygon
+     * @param {Vec2} dir sweep direction
+     * @param {number} distance sweep max distance
+     * @param {Polygon} polygon polygon of segment
+     * @param {number} segmentIndex index of segment in polygon
+     * @param {Vec2} p0 test segment first point
+     * @param {Vec2} p1 test segment second point
+     * @param {Vec2} gravityDir direction floors are found along, one-way segments only block from the other side
+     * @param {number} [tolerance] hit distance tolerance
+     * @return {Util.HitResult} sweep result, not blocking hit if segment is passed through
+     */
+    sweepPolygonSegment(dir, distance, polygon, segmentIndex, p0, p1, gravityDir, tolerance = 0.1) {
+        const isOneWay = polygon.collisionType == CollisionType.oneWay;
+        if (isOneWay && !Util.isOneWayBlocking(dir, p0, p1, gravityDir)) {
+            return new Util.HitResult();
+        }
+        const hit = this.sweep(dir, distance, p0, p1, tolerance);
+        if (isOneWay && hit.startPenetrating) {
+            return new Util.HitResult();
+        }
+        hit.polygon = polygon;
+        hit.segmentIndex = segmentIndex;
+        return hit;
+    }
+
     /**
      * sweep test segment
      * @param {Vec2} dir sweep direction
      * @param {number} distance sweep max distance
      * @param {Scene} scene the scene to been sweeped
      * @param {number} [tolerance] hit distance tolerance
+     * @param {Polygon} [ignorePolygon] polygon not to be sweeped
      * @return {Util.HitResult} sweep result
      */
-    sweepScene(dir, distance, scene, tolerance = 0.1) {
+    sweepScene(dir, distance, scene, tolerance = 0.1, ignorePolygon = null) {
         let hitResult = new Util.HitResult();
         hitResult.start = this.center;
         hitResult.end = this.center.add(dir.mul(distance));
         hitResult.distance = distance;
         hitResult.time = 1;
+        const gravityDir = scene.getGravityDir(this.center);
+        const isCoreInsideSolid = scene.isInsideSolid(this.a) || scene.isInsideSolid(this.b);
 
         for (let polygon of scene.polygons) {
-            polygon.eachSegment((p0, p1) => {
-                const hit = this.sweep(dir, distance, p0, p1, tolerance);
+            if (polygon == ignorePolygon) {
+                continue;
+            }
+            const containment = isCoreInsideSolid && polygon.collisionType != CollisionType.oneWay
+                ? this.computeContainment(scene, polygon, tolerance) : null;
+            if (containment) {
+                // no segment may be close enough to report penetration
+                hitResult = new Util.HitResult();
+                hitResult.blockingHit = true;
+                hitResult.startPenetrating = true;
+                hitResult.time = 0;
+                hitResult.start = this.center;
+                hitResult.end = this.center;
+                hitResult.penetrationDepth = containment.depth;
+                hitResult.impactNormal = containment.normal;
+                hitResult.normal = containment.normal;
+                hitResult.location = this.center;
+                hitResult.polygon = polygon;
+                return hitResult;
+            }
+            polygon.eachSegment((p0, p1, segmentIndex) => {
+                const hit = this.sweepPolygonSegment(dir, distance, polygon, segmentIndex, p0, p1, gravityDir, tolerance);
                 if (hit.blockingHit) {
                     if (hit.time < hitResult.time) {
                         hitResult = hit;
@@ -190,13 +352,18 @@ export default class Capsule {
      * @param {number} distance sweep max distance
      * @param {Scene} scene the scene to been sweeped
      * @param {number} [tolerance] hit distance tolerance
+     * @param {Polygon} [ignorePolygon] polygon not to be sweeped
      * @return {Util.HitResult[]} sweep result
      */
-    sweepSceneMulti(dir, distance, scene, tolerance = 0.1) {
+    sweepSceneMulti(dir, distance, scene, tolerance = 0.1, ignorePolygon = null) {
         const results = [];
+        const gravityDir = scene.getGravityDir(this.center);
         for (let polygon of scene.polygons) {
-            polygon.eachSegment((p0, p1) => {
-                const hit = this.sweep(dir, distance, p0, p1, tolerance);
+            if (polygon == ignorePolygon) {
+                continue;
+            }
+            polygon.eachSegment((p0, p1, segmentIndex) => {
+                const hit = this.sweepPolygonSegment(dir, distance, polygon, segmentIndex, p0, p1, gravityDir, tolerance);
                 if (hit.blockingHit) {
                     results.push(hit);
                 }
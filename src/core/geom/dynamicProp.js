@@ -0,0 +1,111 @@
+// @ts-check
+
+import Vec2 from "../../algebra/vec2";
+import Polygon from "./polygon";
+import Capsule, { HitResult } from "./capsule";
+import Scene from "../scene";
+
+const PROP_AVOID_DIST = 0.5;
+
+/**
+ * @typedef {Object} PropState
+ * @property {number} id
+ * @property {Vec2} pos
+ * @property {Vec2} velocity
+ */
+
+/**
+ * a polygon falls by gravity and rests on other polygons, walking players push it
+ */
+export default class DynamicProp extends Polygon {
+    /**
+     * @param {Vec2[]} points points at start, clockwise order
+     * @param {number} [mass]
+     * @param {string} [color]
+     */
+    constructor(points, mass = 50, color = "#B28C6E") {
+        super(points, color);
+        this.mass = mass;
+        this.id = -1; // index in props of scene
+        this.velocity = new Vec2();
+        let min = new Vec2(Infinity, Infinity);
+        let max = new Vec2(-Infinity, -Infinity);
+        for (let point of points) {
+            min = new Vec2(Math.min(min.x, point.x), Math.min(min.y, point.y));
+            max = new Vec2(Math.max(max.x, point.x), Math.max(max.y, point.y));
+        }
+        const center = min.add(max).mul(0.5);
+        const halfExtent = max.sub(min).mul(0.5);
+        /** @type {Vec2[]} */
+        this.localPoints = this.isValid ? this.points.map(point => point.sub(center)) : [];
+        // collide with scene by the largest upright capsule inside bounds
+        const radius = Math.min(halfExtent.x, halfExtent.y);
+        this.capsule = new Capsule(center, halfExtent.y - radius, radius);
+    }
+
+    /**
+     * @return {Vec2} center of bounds
+     */
+    get pos() {
+        return this.capsule.center;
+    }
+
+    /**
+     * @param {Vec2} pos
+     */
+    set pos(pos) {
+        this.capsule.center = pos;
+        this.points = this.localPoints.map(point => point.add(pos));
+    }
+
+    /**
+     * sweep to move, stop before blocking polygons
+     * @param {Vec2} delta
+     * @param {Scene} scene
+     * @return {HitResult}
+     */
+    move(delta, scene) {
+        const length = delta.length();
+        if (length == 0) {
+            return new HitResult();
+        }
+        const dir = delta.normalize();
+        const hit = this.capsule.sweepScene(dir, length, scene, 0.1, this);
+        const moveDist = hit.blockingHit ? Math.max(0, hit.distance - PROP_AVOID_DIST) : length;
+        this.pos = this.pos.add(dir.mul(moveDist));
+        return hit;
+    }
+
+    /**
+     * fall by gravity until resting on a polygon
+     * @param {Scene} scene
+     * @param {number} dt
+     */
+    update(scene, dt) {
+        // props only slide when pushed, gravity moves them vertically
+        this.velocity = new Vec2(0, this.velocity.y + scene.getGravity(this.pos).y * dt);
+        const hit = this.move(this.velocity.mul(dt), scene);
+        if (hit.blockingHit) {
+            this.velocity = new Vec2();
+        }
+    }
+
+    /**
+     * @return {PropState}
+     */
+    saveState() {
+        return {
+            id: this.id,
+            pos: this.pos,
+            velocity: this.velocity.clone(),
+        };
+    }
+
+    /**
+     * @param {PropState} state
+     */
+    restoreState(state) {
+        this.pos = state.pos;
+        this.velocity = state.velocity.clone();
+    }
+}
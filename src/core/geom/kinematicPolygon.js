@@ -0,0 +1,134 @@
+// @ts-check
+
+import Vec2 from "../../algebra/vec2";
+import Polygon from "./polygon";
+
+/**
+ * @typedef {Object} Pose
+ * @property {Vec2} position - pivot position
+ * @property {number} angle - rotation in radian
+ * @property {Vec2} velocity - linear velocity of pivot
+ */
+
+/**
+ * rotate vector, positive angle is clockwise on screen
+ * @param {Vec2} v
+ * @param {number} angle
+ * @return {Vec2}
+ */
+function rotate(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Vec2(v.x * cos - v.y * sin, v.x * sin + v.y * cos);
+}
+
+/**
+ * a polygon moves along a path back and forth and rotates around its pivot,
+ * pose is a pure function of scene time, so server and clients agree on it
+ */
+export default class KinematicPolygon extends Polygon {
+    /**
+     * @param {Vec2[]} points points at time 0, clockwise order
+     * @param {string} [color]
+     * @param {Vec2[]} [path] pivot positions to pass through, pivot is center of points if path is empty
+     * @param {number} [speed] move speed along path
+     * @param {number} [angularVelocity] rotate speed around pivot in radian per second
+     */
+    constructor(points, color, path = [], speed = 0, angularVelocity = 0) {
+        super(points, color);
+        /** @type {Vec2[]} */
+        this.path = path.map(point => point.clone());
+        this.speed = speed;
+        this.angularVelocity = angularVelocity;
+        this.pathLength = 0;
+        for (let i = 1; i < this.path.length; i++) {
+            this.pathLength += this.path[i].sub(this.path[i - 1]).length();
+        }
+
+        let pivot = new Vec2();
+        if (this.path.length > 0) {
+            pivot = this.path[0].clone();
+        } else if (this.isValid) {
+            for (let point of this.points) {
+                pivot = pivot.add(point);
+            }
+            pivot = pivot.div(this.points.length);
+        }
+        this.pivot = pivot;
+        /** @type {Vec2[]} */
+        this.localPoints = this.isValid ? this.points.map(point => point.sub(pivot)) : [];
+        this.time = 0;
+    }
+
+    /**
+     * @param {number} time scene time
+     * @return {Pose}
+     */
+    getPose(time) {
+        let position = this.pivot.clone();
+        let velocity = new Vec2();
+        if (this.pathLength > 0 && this.speed > 0) {
+            // ping-pong along path
+            let dist = (this.speed * time) % (this.pathLength * 2);
+            if (dist < 0) {
+                dist += this.pathLength * 2;
+            }
+            let dir = 1;
+            if (dist > this.pathLength) {
+                dist = this.pathLength * 2 - dist;
+                dir = -1;
+            }
+            for (let i = 1; i < this.path.length; i++) {
+                const segment = this.path[i].sub(this.path[i - 1]);
+                const segmentLength = segment.length();
+                if (dist <= segmentLength || i == this.path.length - 1) {
+                    const t = segmentLength > 0 ? Math.min(1, dist / segmentLength) : 0;
+                    position = this.path[i - 1].add(segment.mul(t));
+                    velocity = segment.normalize().mul(this.speed * dir);
+                    break;
+                }
+                dist -= segmentLength;
+            }
+        }
+        return {
+            position: position,
+            angle: this.angularVelocity * time,
+            velocity: velocity,
+        };
+    }
+
+    /**
+     * move points to pose of time
+     * @param {number} time scene time
+     */
+    setTime(time) {
+        this.time = time;
+        const pose = this.getPose(time);
+        this.points = this.localPoints.map(point => rotate(point, pose.angle).add(pose.position));
+    }
+
+    /**
+     * move a point attached to this polygon from pose of one time to another
+     * @param {Vec2} point
+     * @param {number} fromTime
+     * @param {number} toTime
+     * @return {Vec2} moved point
+     */
+    transformPoint(point, fromTime, toTime) {
+        const from = this.getPose(fromTime);
+        const to = this.getPose(toTime);
+        const localPoint = rotate(point.sub(from.position), -from.angle);
+        return rotate(localPoint, to.angle).add(to.position);
+    }
+
+    /**
+     * @param {Vec2} point
+     * @param {number} time scene time
+     * @return {Vec2} velocity of a point attached to this polygon
+     */
+    getVelocityAt(point, time) {
+        const pose = this.getPose(time);
+        const r = point.sub(pose.position);
+        return pose.velocity.add(new Vec2(-r.y, r.x).mul(this.angularVelocity));
+    }
+}
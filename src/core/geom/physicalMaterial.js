@@ -0,0 +1,21 @@
+// @ts-check
+
+/**
+ * surface properties of polygon, affects movement of players touching it
+ */
+export default class PhysicalMaterial {
+    /**
+     * @param {number} [friction] scale of ground friction, lower is more slippery
+     * @param {number} [braking] scale of braking deceleration
+     * @param {number} [restitution] bounciness when falling onto it, 0 is no bounce
+     * @param {number} [walkableFloorRadian] overrides walkable floor angle of players, null to use players' own
+     */
+    constructor(friction = 1, braking = 1, restitution = 0, walkableFloorRadian = null) {
+        this.friction = friction;
+        this.braking = braking;
+        this.restitution = restitution;
+        this.walkableFloorRadian = walkableFloorRadian;
+    }
+}
+
+PhysicalMaterial.default = Object.freeze(new PhysicalMaterial());
@@ -1,4 +1,15 @@
 import Vec2 from "../../algebra/vec2";
+import PhysicalMaterial from "./physicalMaterial";
+
+const CollisionType = {
+    block: 0,
+    oneWay: 1, // only block from the side against gravity
+}
+Object.freeze(CollisionType);
+
+export {
+    CollisionType,
+}
 
 export default class Polygon {
 
@@ -7,9 +18,15 @@ export default class Polygon {
      * segments are clockwise order
      * @param {Vec2[]} points
      * @param {string} [color]
+     * @param {number} [collisionType]
+     * @param {PhysicalMaterial} [material]
      */
-    constructor(points, color = "#FF00FF") {
+    constructor(points, color = "#FF00FF", collisionType = CollisionType.block, material = PhysicalMaterial.default) {
         this.color = color;
+        this.collisionType = collisionType;
+        this.material = material;
+        /** @type {PhysicalMaterial[]} materials of segments overriding polygon material, by segment index */
+        this.segmentMaterials = [];
         if (points.length < 3) {
             this.isValid = false;
             return;
@@ -23,8 +40,8 @@ export default class Polygon {
     }
 
     /**
-     * iterate over all segment
-     * @param {(p0: Vec2, p1: Vec2) => void} callback
+     * iterate over all segment, segment i starts from point i
+     * @param {(p0: Vec2, p1: Vec2, index: number) => void} callback
      */
     eachSegment(callback) {
         if (!this.isValid) {
@@ -32,8 +49,45 @@ export default class Polygon {
         }
         for (let i = 0; i < this.points.length; i++) {
             const j = (i + 1) % this.points.length;
-            callback(this.points[i].clone(), this.points[j].clone());
+            callback(this.points[i].clone(), this.points[j].clone(), i);
+        }
+    }
+
+    /**
+     * @param {number} segmentIndex
+     * @param {PhysicalMaterial} material
+     */
+    setSegmentMaterial(segmentIndex, material) {
+        this.segmentMaterials[segmentIndex] = material;
+    }
+
+    /**
+     * @param {number} segmentIndex
+     * @return {PhysicalMaterial} material of segment
+     */
+    getMaterial(segmentIndex) {
+        return this.segmentMaterials[segmentIndex] || this.material;
+    }
+
+    /**
+     * test if point is inside this polygon (even-odd rule)
+     * @param {Vec2} point
+     * @return {boolean}
+     */
+    containsPoint(point) {
+        if (!this.isValid) {
+            return false;
+        }
+        let inside = false;
+        for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+            const pi = this.points[i];
+            const pj = this.points[j];
+            if ((pi.y > point.y) != (pj.y > point.y)
+                && point.x < (pj.x - pi.x) * (point.y - pi.y) / (pj.y - pi.y) + pi.x) {
+                inside = !inside;
+            }
         }
+        return inside;
     }
 
     /**
@@ -2,6 +2,7 @@
 
 import Vec2 from "../../algebra/vec2";
 import Scene from "../scene";
+import { CollisionType } from "./polygon";
 
 /**
  * point shortest distance to segment
@@ -93,14 +94,14 @@ function segmentShortestTest(a0, a1, b0, b1) {
     temp = distToSegment(b0, a0, a1);
     if (temp.dist < result.dist) {
         result.dist = temp.dist;
-        result.pa = b0.clone();
-        result.pb = temp.point.clone();
+        result.pa = temp.point.clone();
+        result.pb = b0.clone();
     }
     temp = distToSegment(b1, a0, a1);
     if (temp.dist < result.dist) {
         result.dist = temp.dist;
-        result.pa = b1.clone();
-        result.pb = temp.point.clone();
+        result.pa = temp.point.clone();
+        result.pb = b1.clone();
     }
 
     return result;
@@ -119,6 +120,9 @@ class HitResult {
         this.impactNormal = new Vec2();
         this.location = new Vec2();
         this.normal = new Vec2();
+        /** @type {import("./polygon").default} */
+        this.polygon = null;
+        this.segmentIndex = -1;
     }
 
     /**
@@ -130,6 +134,20 @@ class HitResult {
     }
 }
 
+/**
+ * one-way polygon only blocks moving along gravity onto segments facing against it
+ * @param {Vec2} dir move direction
+ * @param {Vec2} p0
+ * @param {Vec2} p1
+ * @param {Vec2} gravityDir direction floors are found along
+ * @return {boolean} is segment blocking
+ */
+function isOneWayBlocking(dir, p0, p1, gravityDir) {
+    const segmentDir = p1.sub(p0).normalize();
+    const normal = new Vec2(segmentDir.y, -segmentDir.x);
+    return normal.dot(gravityDir) < 0 && dir.dot(normal) < 0;
+}
+
 /**
  * shot a ray to test scene, return first hit
  * @param {Vec2} start
@@ -149,8 +167,12 @@ function lineSweep(start, dir, distance, scene) {
     if (distance == 0) {
         return hitResult;
     }
+    const gravityDir = scene.getGravityDir(start);
     for (let polygon of scene.polygons) {
-        polygon.eachSegment((p0, p1) => {
+        polygon.eachSegment((p0, p1, segmentIndex) => {
+            if (polygon.collisionType == CollisionType.oneWay && !isOneWayBlocking(dir, p0, p1, gravityDir)) {
+                return;
+            }
             const seg = segmentShortestTest(start, end, p0, p1);
             if (seg.dist == 0) {
                 const cross = seg.pa;
@@ -164,6 +186,8 @@ function lineSweep(start, dir, distance, scene) {
                     hitResult.location = cross.clone();
                     hitResult.normal = new Vec2(segmentDir.y, -segmentDir.x);
                     hitResult.time = d / distance;
+                    hitResult.polygon = polygon;
+                    hitResult.segmentIndex = segmentIndex;
                     if (dir.dot(hitResult.impactNormal) > 0) {
                         hitResult.startPenetrating = true;
                         hitResult.penetrationDepth = d;
@@ -225,6 +249,7 @@ export {
     distToSegment,
     segmentShortestTest,
     HitResult,
+    isOneWayBlocking,
     lineSweep,
     lineSweepMulti
 }
@@ -0,0 +1,90 @@
+// @ts-check
+
+import Vec2 from "../../algebra/vec2";
+import Polygon from "./polygon";
+
+/**
+ * a non-blocking area of the scene, it affects players overlap it
+ */
+export default class Volume extends Polygon {
+    /**
+     * @param {Vec2[]} points
+     * @param {string} [color]
+     */
+    constructor(points, color = "rgba(255, 255, 255, 0.3)") {
+        super(points, color);
+    }
+}
+
+class WaterVolume extends Volume {
+    /**
+     * @param {Vec2[]} points
+     * @param {string} [color]
+     * @param {number} [fluidFriction] velocity drag per second inside water
+     */
+    constructor(points, color = "rgba(0, 64, 160, 0.5)", fluidFriction = 2) {
+        super(points, color);
+        this.fluidFriction = fluidFriction;
+    }
+
+    /**
+     * find the water surface above a point inside this volume
+     * @param {Vec2} point
+     * @return {number} y of water surface, or `point.y` if the point is not in water
+     */
+    getSurfaceY(point) {
+        if (!this.containsPoint(point)) {
+            return point.y;
+        }
+        let surfaceY = -Infinity;
+        this.eachSegment((p0, p1) => {
+            // vertical segments never cross a vertical ray
+            if ((p0.x > point.x) == (p1.x > point.x)) {
+                return;
+            }
+            const crossY = p0.y + (point.x - p0.x) / (p1.x - p0.x) * (p1.y - p0.y);
+            if (crossY < point.y) {
+                surfaceY = Math.max(surfaceY, crossY);
+            }
+        });
+        return surfaceY;
+    }
+}
+
+class LadderVolume extends Volume {
+    /**
+     * @param {Vec2[]} points
+     * @param {string} [color]
+     */
+    constructor(points, color = "rgba(150, 100, 40, 0.6)") {
+        super(points, color);
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minY = Infinity;
+        for (let point of points) {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+        }
+        this.centerX = (minX + maxX) * 0.5; // climbers snap to it
+        this.topY = minY;
+    }
+}
+
+class GravityVolume extends Volume {
+    /**
+     * @param {Vec2[]} points
+     * @param {Vec2} [gravity] gravity inside this volume, overrides gravity of scene
+     * @param {string} [color]
+     */
+    constructor(points, gravity = new Vec2(0, -980), color = "rgba(160, 90, 200, 0.3)") {
+        super(points, color);
+        this.gravity = gravity.clone();
+    }
+}
+
+export {
+    WaterVolume,
+    LadderVolume,
+    GravityVolume,
+}
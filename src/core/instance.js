@@ -3,7 +3,11 @@
 import { Time } from "./globals";
 import Player from "./player";
 import Scene from "./scene";
-import Polygon from "./geom/polygon";
+import Polygon, { CollisionType } from "./geom/polygon";
+import KinematicPolygon from "./geom/kinematicPolygon";
+import DynamicProp from "./geom/dynamicProp";
+import PhysicalMaterial from "./geom/physicalMaterial";
+import { WaterVolume, LadderVolume, GravityVolume } from "./geom/volume";
 import Vec2 from "../algebra/vec2";
 
 export default class Instance {
@@ -18,14 +22,68 @@ export default class Instance {
         this.height = canvas.height;
         this.scene = new Scene(this.width, this.height);
         this.scene.addPolygon(new Polygon([
-            new Vec2(0, 350),new Vec2(50, 350), new Vec2(150, 450), new Vec2(300, 450), new Vec2(300, 440), new Vec2(350, 440), new Vec2(350, 430),
+            new Vec2(0, 330), new Vec2(26, 330), new Vec2(30, 334), new Vec2(30, 350),
+            new Vec2(50, 350), new Vec2(150, 450), new Vec2(300, 450), new Vec2(300, 440), new Vec2(350, 440), new Vec2(350, 430),
             new Vec2(400, 430),
             new Vec2(500, 400), new Vec2(500, 350), new Vec2(600, 350), new Vec2(600, 500), new Vec2(0, 500)
         ], "#994639"));
+        // crevice of two unwalkable slopes
+        this.scene.addPolygon(new Polygon([
+            new Vec2(420, 200), new Vec2(440, 200), new Vec2(460, 225), new Vec2(480, 200), new Vec2(500, 200),
+            new Vec2(500, 235), new Vec2(420, 235)
+        ], "#994639"));
+        const ledgeBlock = new Polygon([
+            new Vec2(120, 260), new Vec2(220, 260), new Vec2(220, 290), new Vec2(120, 290)
+        ], "#994639");
+        // sticky top
+        ledgeBlock.setSegmentMaterial(0, new PhysicalMaterial(4, 4));
+        this.scene.addPolygon(ledgeBlock);
+        // too steep to walk on, slide down
+        this.scene.addPolygon(new Polygon([
+            new Vec2(120, 260), new Vec2(120, 290), new Vec2(100, 290)
+        ], "#994639"));
+        // bouncy pad
+        this.scene.addPolygon(new Polygon([
+            new Vec2(30, 346), new Vec2(50, 346), new Vec2(50, 350), new Vec2(30, 350)
+        ], "#86C166", CollisionType.block, new PhysicalMaterial(1, 1, 0.9)));
+        this.scene.addPolygon(new Polygon([
+            new Vec2(530, 290), new Vec2(600, 290), new Vec2(600, 315), new Vec2(530, 315)
+        ], "#994639"));
+        this.scene.addPolygon(new Polygon([
+            new Vec2(430, 330), new Vec2(490, 330), new Vec2(490, 336), new Vec2(430, 336)
+        ], "#A5DEE4", CollisionType.oneWay, new PhysicalMaterial(0.05, 0.05)));
+        this.scene.addPolygon(new KinematicPolygon([
+            new Vec2(230, 325), new Vec2(290, 325), new Vec2(290, 335), new Vec2(230, 335)
+        ], "#7B90D2", [new Vec2(260, 330), new Vec2(420, 330)], 40));
+        this.scene.addPolygon(new KinematicPolygon([
+            new Vec2(300, 215), new Vec2(380, 215), new Vec2(380, 225), new Vec2(300, 225)
+        ], "#7B90D2", [], 0, 0.6));
+        this.scene.addVolume(new WaterVolume([
+            new Vec2(105, 405), new Vec2(483.3, 405), new Vec2(400, 430), new Vec2(350, 430), new Vec2(350, 440),
+            new Vec2(300, 440), new Vec2(300, 450), new Vec2(150, 450)
+        ]));
+        this.scene.addVolume(new LadderVolume([
+            new Vec2(500, 255), new Vec2(530, 255), new Vec2(530, 350), new Vec2(500, 350)
+        ]));
+        // jump up from the ledge block and walk on the ceiling
+        this.scene.addVolume(new GravityVolume([
+            new Vec2(140, 0), new Vec2(210, 0), new Vec2(210, 200), new Vec2(140, 200)
+        ]));
+        // light crate and heavy boulder to push on the ledge block
+        this.scene.addProp(new DynamicProp([
+            new Vec2(193, 235), new Vec2(217, 235), new Vec2(217, 259), new Vec2(193, 259)
+        ]));
+        this.scene.addProp(new DynamicProp([
+            new Vec2(130, 235), new Vec2(140, 235), new Vec2(147, 242), new Vec2(147, 252), new Vec2(140, 259),
+            new Vec2(130, 259), new Vec2(123, 252), new Vec2(123, 242)
+        ], 300, "#8A8A8A"));
         this.lastTime = 0;
         this.currentTime = 0;
         /**@type {Player[]} */
         this.players = [];
+        this.playerCollision = false;
+        // players of demo level can double jump
+        this.maxJumpCount = 2;
     }
 
     /**
@@ -44,7 +102,9 @@ export default class Instance {
      * @param {number} dt
      */
     update(dt) {
+        this.scene.setTime(this.currentTime * 0.001);
         this.scene.update(dt);
+        this.scene.updateProps(dt);
         for (let player of this.players) {
             player.update(dt);
         }
@@ -56,9 +116,33 @@ export default class Instance {
      */
     addNewPlayer(player) {
         player.scene = this.scene;
+        player.movementConfig.maxJumpCount = this.maxJumpCount;
+        player.setBodyEnabled(this.playerCollision);
         this.players.push(player);
     }
 
+    /**
+     * remove players and their bodies from scene
+     * @param {number} start index of first player to remove
+     * @param {number} [deleteCount]
+     */
+    removePlayers(start, deleteCount = this.players.length - start) {
+        for (let player of this.players.splice(start, deleteCount)) {
+            player.setBodyEnabled(false);
+        }
+    }
+
+    /**
+     * let players block each other or pass through each other
+     * @param {boolean} enabled
+     */
+    setPlayerCollision(enabled) {
+        this.playerCollision = enabled;
+        for (let player of this.players) {
+            player.setBodyEnabled(enabled);
+        }
+    }
+
     /**
      * set instance update
      * @param {number} interval
@@ -0,0 +1,69 @@
+// @ts-check
+
+/**
+ * @typedef {import("./player").default} Player
+ *
+ * @typedef {Object} MoveModeDefine
+ * @property {string} name - unique name of move mode
+ * @property {number} id - unique network id, replicated by `MoveMsg.moveMode`
+ * @property {(player: Player, dt: number) => void} phys - perform movement in this mode
+ * @property {(player: Player, lastMode: number) => void} [onEnter] - called after player switch to this mode
+ * @property {(player: Player, nextMode: number) => void} [onExit] - called before player switch away from this mode
+ * @property {string | ((player: Player, dt: number) => string)} [animeKey] - `Animator` key when in this mode
+ * @property {(player: Player) => any} [saveState] - save mode state, replicated by `MoveMsg.modeState`
+ * @property {(player: Player, state: any) => void} [restoreState] - restore mode state saved by `saveState`
+ */
+
+export default class MoveModeRegistry {
+    constructor() {
+        /** @type {Map<number, MoveModeDefine>} */
+        this.modes = new Map();
+    }
+
+    /**
+     * register a new move mode
+     * @param {MoveModeDefine} define
+     * @return {boolean} is registered
+     */
+    register(define) {
+        if (this.modes.has(define.id)) {
+            console.warn(`move mode id ${define.id} is already registered by "${this.modes.get(define.id).name}"`);
+            return false;
+        }
+        if (this.getByName(define.name)) {
+            console.warn(`move mode "${define.name}" is already registered`);
+            return false;
+        }
+        this.modes.set(define.id, define);
+        return true;
+    }
+
+    /**
+     * @param {number} id
+     * @return {boolean} is unregistered
+     */
+    unregister(id) {
+        return this.modes.delete(id);
+    }
+
+    /**
+     * @param {number} id
+     * @return {MoveModeDefine} move mode of id, or undefined if not registered
+     */
+    get(id) {
+        return this.modes.get(id);
+    }
+
+    /**
+     * @param {string} name
+     * @return {MoveModeDefine} move mode of name, or undefined if not registered
+     */
+    getByName(name) {
+        for (let define of this.modes.values()) {
+            if (define.name == name) {
+                return define;
+            }
+        }
+        return undefined;
+    }
+}
@@ -3,8 +3,15 @@ import Vec2 from "../algebra/vec2";
 import Scene, { DurationType } from "./scene";
 import { Debug } from "./globals";
 import Capsule, { HitResult } from "./geom/capsule";
+import Polygon, { CollisionType } from "./geom/polygon";
+import PhysicalMaterial from "./geom/physicalMaterial";
 import { lineSweep } from "./geom/util";
 import Animator from "./anim/animator";
+import { WaterVolume, LadderVolume } from "./geom/volume";
+import KinematicPolygon from "./geom/kinematicPolygon";
+import BodyPolygon from "./geom/bodyPolygon";
+import DynamicProp from "./geom/dynamicProp";
+import MoveModeRegistry from "./moveModeRegistry";
 
 const Role = {
     simulate: 0,
@@ -17,8 +24,25 @@ const MoveMode = {
     none: 0,
     walking: 1,
     falling: 2,
+    swimming: 3,
+    hanging: 4,
+    mantling: 5,
+    climbing: 6,
+    sliding: 7,
+    dashing: 8,
 }
 Object.freeze(MoveMode);
+
+const MoveEvent = {
+    penetration: "penetration", // capsule started inside geometry and was pushed out
+    landed: "landed", // fell onto a walkable floor, not sliding onto it or standing in a ditch
+    jumped: "jumped", // jumped from floor, wall, water, ladder, ledge or air
+    walkedOffLedge: "walkedOffLedge", // walked off floor and started falling
+    hitWall: "hitWall", // blocked by a wall, once until moving away from it
+    steppedUp: "steppedUp", // stepped up a stair while walking
+}
+Object.freeze(MoveEvent);
+
 const MOVE_AVOID_DIST = 0.5;
 const MAX_FLOOR_DIST = 2.4;
 const MIN_FLOOR_DIST = 1.9;
@@ -26,6 +50,16 @@ const SWEEP_EDGE_REJECT_DISTANCE = 0.15;
 const SMALL_NUMBER = 1e-8;
 const KINDA_SMALL_NUMBER = 1e-4;
 const MAX_STEP_SIDE_Z = 0.08;
+const WALL_PROBE_DIST = 2;
+const LEDGE_PROBE_INSET = 2;
+const MIN_TICK_TIME = 1e-6;
+const BRAKE_TO_STOP_VELOCITY = 10;
+const BRAKING_SUB_STEP_TIME = 1 / 33;
+const MIN_BOUNCE_SPEED = 50;
+const MAX_DEPENETRATION_ITERATIONS = 4;
+const DEPENETRATION_SKIN = 0.125;
+const TELEPORT_SEARCH_STEP = 4;
+const MAX_TELEPORT_SEARCH_DIST = 100;
 
 class FloorResult {
     constructor() {
@@ -34,6 +68,8 @@ class FloorResult {
         this.lineTrace = false;
         this.floorDist = 0;
         this.lineDist = 0;
+        // held by two unwalkable slopes instead of a walkable floor
+        this.inDitch = false;
         /** @type {HitResult} */
         this.hitResult = new HitResult();
     }
@@ -49,6 +85,7 @@ class FloorResult {
         this.lineTrace = false;
         this.floorDist = sweepFloorDist;
         this.lineDist = 0;
+        this.inDitch = false;
         this.hitResult = hitResult;
     }
 
@@ -85,6 +122,8 @@ class FloorResult {
 
 export {
     Role,
+    MoveMode,
+    MoveEvent,
 }
 
 /**
@@ -103,8 +142,44 @@ export {
  * @property {Vec2} pos
  * @property {Vec2} velocity
  * @property {number} moveMode
+ * @property {any} modeState - state saved by `MoveModeDefine.saveState`
  * @property {Vec2} acceleration
+ * @property {boolean} isCrouched
+ * @property {number} sceneTime - scene time of this move, kinematic polygons are at their pose of it
+ * @property {Vec2} gravityDir - direction floors are found along in this move
+ * @property {number[]} pushedProps - ids of props pushed in this move
+ * @property {number} teleportCount - teleports of player until the end of this move
+ * @property {number} jumpCount - jump counter at the end of this move, server keeps its own and corrects client
+ * @property {number} coyoteTimer
+ * @property {number} jumpBufferTimer
+ * @property {number} dashCooldownTimer
+ * @property {string[]} contactEvents - contact events lasting at the end of this move, see `emitOnContact`
+ * @property {MoveState} moveState - movement state at the start of this move
+ *
+ * @typedef {Object} MoveState
  * @property {boolean} pressedJump
+ * @property {number} jumpHoldTime
+ * @property {boolean} wantsToCrouch
+ * @property {boolean} pressedDash
+ * @property {Vec2} pendingLaunchVelocity - launch velocity to apply in this move, null if not launched, only replayed by client
+ * @property {Vec2} pendingImpulse - velocity change to apply in this move, only replayed by client
+ * @property {Vec2} pendingTeleport - position autonomous client requested to teleport to before this move, null if not requested,
+ * server only teleports there through `acceptTeleportRequest`
+ *
+ * @typedef {Object} MoveEventData
+ * @property {string} type - one of `MoveEvent`
+ * @property {Player} player
+ * @property {boolean} predicted - emitted by an autonomous client ahead of server
+ * @property {boolean} replayed - emitted again when replaying moves in `reconciliation`
+ * @property {HitResult} [hit] - floor landed on or left, wall hit, or stair stepped up
+ * @property {Vec2} [velocity] - velocity when the event happens, impact velocity of landing
+ * @property {Polygon} [polygon] - polygon involved in the event
+ * @property {Vec2} [adjustment] - translation applied to push capsule out of geometry
+ * @property {boolean} [resolved] - is capsule free of geometry after pushed out
+ *
+ * @typedef {Object} Ledge
+ * @property {Vec2} hangPos - capsule center when hanging on the ledge
+ * @property {Vec2} standPos - capsule center when standing on the ledge
  */
 
 export default class Player {
@@ -121,6 +196,7 @@ export default class Player {
         this.maxAcceleration = 800;
         this.maxSpeed = 300;
         this.capsule = new Capsule(pos, 15, 12, color);
+        this.standHalfHeight = this.capsule.halfHeight;
 
         this.isMainPlayer = false;
         this.role = Role.authority;
@@ -133,6 +209,8 @@ export default class Player {
         this.corrected = false; // server correct client pos and velocity
         /** @type {Scene}*/
         this.scene = null;
+        /** @type {BodyPolygon} blocking body in scene, null if other players pass through this player */
+        this.body = null;
         /** @type {Vec2} */
         this.velocity = new Vec2(0, 0);
         this.acceleration = new Vec2(0, 0);
@@ -141,6 +219,7 @@ export default class Player {
         this.animator = null;
         this.flipAnime = flipAnime;
         this.lastMoveMode = MoveMode.none;
+        this.lastJumpCount = 0;
         this.jumpRemainTimer = 0;
 
         this.movementInfo = {
@@ -150,26 +229,177 @@ export default class Player {
             justTeleported: false,
             pressedJump: false,
             jumpHoldTime: 0,
+            jumpCount: 0,
+            coyoteTimer: 0,
+            jumpBufferTimer: 0,
+            /** @type {HitResult} */
+            wallContact: new HitResult(),
+            isWallSliding: false,
+            immersionDepth: 0,
+            /** @type {WaterVolume} */
+            waterVolume: null,
+            /** @type {Ledge} */
+            ledge: null,
+            mantleTime: 0,
+            wantsToCrouch: false,
+            isCrouched: false,
+            /** @type {KinematicPolygon} */
+            basePolygon: null,
+            sceneTime: 0, // scene time of last move
+            /** @type {Vec2} */
+            pendingLaunchVelocity: null,
+            pendingImpulse: new Vec2(),
+            /** @type {Vec2} */
+            pendingTeleport: null,
+            teleportCount: 0,
+            pressedDash: false,
+            dashCooldownTimer: 0,
+            dashTime: 0,
+            dashDirection: 1,
+            gravity: new Vec2(0, 980),
+            // capsule stays upright, so floors are either below or above it
+            gravityDir: new Vec2(0, 1),
+            /** @type {number[]} ids of props pushed in last move */
+            pushedProps: [],
+            /** @type {Set<string>} contact events emitted or suppressed in last move */
+            lastContactEvents: new Set(),
+            /** @type {Set<string>} */
+            contactEvents: new Set(),
         };
 
         this.movementConfig  = {
             walkableFloorRadian: Math.PI * 50 / 180,
             maxStepHeight: 20,
+            // walking capsule snaps down to walkable floors this far below, instead of falling down stairs
+            maxStepDownHeight: 20,
             horizontalMove: true,
             jumpVelocity: 300,
             holdJumpGravityScale: 0.3,
             airControl: 0.2,
             maxJumpHoldTime: 1,
+            // jumps before landing, more than 1 allows air jumps
+            maxJumpCount: 1,
+            airJumpVelocity: 250,
+            maxAirJumpHoldTime: 0.2,
+            coyoteTime: 0.1,
+            jumpBufferTime: 0.1,
+            wallSlideRadian: Math.PI * 15 / 180,
+            wallSlideMaxFallSpeed: 100,
+            wallJumpVelocity: 300,
+            wallJumpHorizontalVelocity: 200,
+            maxSwimSpeed: 150,
+            buoyancy: 1.2,
+            swimImmersionThreshold: 0.5,
+            outOfWaterJumpVelocity: 350,
+            ledgeGrabReach: 10,
+            mantleDuration: 0.3,
+            climbSpeed: 120,
+            // slopes steeper than walkable floor are slid down up to this angle, steeper ones are walls
+            slidableFloorRadian: Math.PI * 75 / 180,
+            slideFriction: 0.2,
+            crouchedHalfHeight: 3,
+            maxCrouchSpeed: 150,
+            groundFriction: 8,
+            brakingDeceleration: 2000,
+            /**
+             * acceleration scale keyed by speed / max speed, as [speedRatio, scale] sorted by speedRatio,
+             * null means constant acceleration
+             * @type {[number, number][]}
+             */
+            accelerationCurve: null,
+            mass: 1,
+            dashSpeed: 700,
+            dashDuration: 0.15,
+            dashCooldown: 0.6,
+            gravityScale: 1,
+            maxFallSpeed: 1500,
+            // split a long move into sub steps, so low fps will not tunnel or overshoot, time beyond all iterations is dropped
+            maxSimulationTimeStep: 0.05,
+            maxIterations: 8,
+            // longest move server performs for client, and how far client moves may run ahead of server time, like UE MaxMoveDeltaTime
+            maxMoveDeltaTime: 0.125,
+            // props not heavier than push force are pushed at full walking speed
+            pushForce: 100,
+            // do not perch on an edge touching capsule this close to its side, 0 perches until edge tolerance
+            perchRadiusThreshold: 0,
+            // how much higher than max step height a perched capsule may stand above the floor below
+            perchAdditionalHeight: 40,
+            canWalkOffLedges: true,
+            canWalkOffLedgesWhenCrouching: true,
         };
 
         this.sequence = 1;
         this.lastReceiveSequence = 0;
-        this.lastReceiveTimestamp = 0;
+        // server time used up by moves of client, so client can not move more than time passed on server
+        this.serverMoveTime = -Infinity;
         /**@type {MoveMsg} */
         this.pendingMoveMsg = null;
         /**@type {MoveMsg[]} */
         this.historyMoveMsgs = [];
         this.needReconciliation = false;
+        this.isReplaying = false;
+
+        /** @type {Map<string, ((event: MoveEventData) => void)[]>} */
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * listen to a movement event
+     * @param {string} type one of `MoveEvent`
+     * @param {(event: MoveEventData) => void} listener
+     */
+    on(type, listener) {
+        if (!this.eventListeners.has(type)) {
+            this.eventListeners.set(type, []);
+        }
+        this.eventListeners.get(type).push(listener);
+    }
+
+    /**
+     * @param {string} type one of `MoveEvent`
+     * @param {(event: MoveEventData) => void} listener
+     */
+    off(type, listener) {
+        const listeners = this.eventListeners.get(type);
+        if (listeners) {
+            const idx = listeners.indexOf(listener);
+            if (idx >= 0) {
+                listeners.splice(idx, 1);
+            }
+        }
+    }
+
+    /**
+     * @param {string} type one of `MoveEvent`
+     * @param {Object} data event properties besides type and player
+     */
+    emit(type, data) {
+        const listeners = this.eventListeners.get(type);
+        if (!listeners || listeners.length == 0) {
+            return;
+        }
+        /** @type {MoveEventData} */
+        const event = Object.assign({
+            type: type,
+            player: this,
+            predicted: this.role == Role.autonomous && this.isNetMode,
+            replayed: this.isReplaying,
+        }, data);
+        for (let listener of listeners.slice()) {
+            listener(event);
+        }
+    }
+
+    /**
+     * emit an event of lasting contact once, skip it while the contact lasts from last move
+     * @param {string} type one of `MoveEvent`
+     * @param {Object} data event properties besides type and player
+     */
+    emitOnContact(type, data) {
+        if (!this.movementInfo.lastContactEvents.has(type) && !this.movementInfo.contactEvents.has(type)) {
+            this.emit(type, data);
+        }
+        this.movementInfo.contactEvents.add(type);
     }
 
     /**
@@ -184,12 +414,38 @@ export default class Player {
      */
     set pos(pos) {
         this.capsule.center = pos.clone();
+        if (this.body) {
+            this.body.setCapsule(this.capsule);
+        }
         if (!this.visualSmooth) {
             this.displayPos.x = this.pos.x;
             this.displayPos.y = this.pos.y;
         }
     }
 
+    /**
+     * add or remove blocking body of this player in scene
+     * @param {boolean} enabled
+     */
+    setBodyEnabled(enabled) {
+        if (enabled && !this.body) {
+            this.body = new BodyPolygon(this.capsule);
+            this.scene.addPolygon(this.body);
+        } else if (!enabled && this.body) {
+            this.scene.removePolygon(this.body);
+            this.body = null;
+        }
+    }
+
+    /**
+     * @param {boolean} enabled is body collided by others, disable it when moving this player
+     */
+    setBodyCollision(enabled) {
+        if (this.body) {
+            this.body.collisionEnabled = enabled;
+        }
+    }
+
     /**
      * @return {PlayerInfo}
      */
@@ -205,15 +461,16 @@ export default class Player {
 
     /**
      * @param {Vec2} delta
+     * @param {Polygon} [ignorePolygon] polygon not to collide with
      * @return {HitResult}
      */
-    move(delta) {
-        let hit = this.safeMove(delta);
+    move(delta, ignorePolygon = null) {
+        let hit = this.safeMove(delta, ignorePolygon);
         if (hit.startPenetrating) {
             const pullbackDist = 0.125 + (hit.penetrationDepth > 0 ? hit.penetrationDepth : 0.125);
             const adjustment = hit.impactNormal.mul(pullbackDist);
             if (this.resolvePenetration(adjustment, hit)) {
-                hit = this.safeMove(delta);
+                hit = this.safeMove(delta, ignorePolygon);
             }
         }
         return hit;
@@ -222,16 +479,17 @@ export default class Player {
     /**
      * warning! used by move, do not direct call this
      * @param {Vec2} delta
+     * @param {Polygon} [ignorePolygon] polygon not to collide with
      * @return {HitResult}
      */
-    safeMove(delta) {
+    safeMove(delta, ignorePolygon = null) {
         let result = new HitResult();
         result.start = this.pos;
         result.end = this.pos.add(delta);
 
         const dir = delta.normalize();
         const length = delta.length();
-        const hitResults = this.capsule.sweepSceneMulti(dir, length, this.scene);
+        const hitResults = this.capsule.sweepSceneMulti(dir, length, this.scene, 0.1, ignorePolygon);
         let noStartPenetration = true;
         let init = true;
         let maxPenetrationDepth = 0;
@@ -294,6 +552,138 @@ export default class Player {
         }
     }
 
+    /**
+     * push capsule out of all overlapping segments by minimum translation, repeat a few times
+     * since pushing out of one segment may push into another
+     * @return {boolean} is capsule free of geometry
+     */
+    resolveOverlap() {
+        const startLocation = this.pos;
+        /** @type {Polygon} */
+        let deepestPolygon = null;
+        let penetrations = this.capsule.computePenetrations(this.scene);
+        for (let i = 0; i < MAX_DEPENETRATION_ITERATIONS && penetrations.length > 0; i++) {
+            penetrations.sort((a, b) => b.depth - a.depth);
+            if (deepestPolygon == null) {
+                deepestPolygon = penetrations[0].polygon;
+            }
+            let adjustment = new Vec2();
+            for (let penetration of penetrations) {
+                const remainDepth = penetration.depth + DEPENETRATION_SKIN - adjustment.dot(penetration.normal);
+                if (remainDepth > 0) {
+                    adjustment = adjustment.add(penetration.normal.mul(remainDepth));
+                }
+            }
+            this.pos = this.pos.add(adjustment);
+            penetrations = this.capsule.computePenetrations(this.scene);
+        }
+        if (deepestPolygon == null) {
+            return true;
+        }
+        const resolved = penetrations.length == 0;
+        this.movementInfo.justTeleported = true;
+        this.emit(MoveEvent.penetration, {
+            polygon: deepestPolygon,
+            adjustment: this.pos.sub(startLocation),
+            resolved: resolved,
+        });
+        return resolved;
+    }
+
+    /**
+     * move to the nearest free spot around pos, find floor there and pick move mode like UE OnTeleported,
+     * autonomous client predicts the teleport and requests it in next move, server decides by `acceptTeleportRequest`
+     * @param {Vec2} pos
+     * @return {boolean} is a free spot found
+     */
+    teleportTo(pos) {
+        this.setBodyCollision(false);
+        const teleported = this.applyTeleport(pos);
+        this.setBodyCollision(true);
+        if (!teleported) {
+            return false;
+        }
+        if (this.role == Role.autonomous && this.isNetMode) {
+            this.movementInfo.pendingTeleport = pos.clone();
+        }
+        return true;
+    }
+
+    /**
+     * called on server for a teleport requested by autonomous client, replace it to accept requests,
+     * e.g. return the exit of a portal the player stands in, clients can not teleport themselves by default
+     * @param {Vec2} requestedPos
+     * @return {Vec2} position to teleport to, null rejects the request and corrects the client
+     */
+    acceptTeleportRequest(requestedPos) {
+        return null;
+    }
+
+    /**
+     * own body should not collide when calling this
+     * @param {Vec2} pos
+     * @return {boolean} is a free spot found
+     */
+    applyTeleport(pos) {
+        const spot = this.findTeleportSpot(pos);
+        if (!spot) {
+            return false;
+        }
+        this.pos = spot;
+        this.movementInfo.justTeleported = true;
+        this.updateGravity();
+        const floor = this.findFloor(this.capsule.center, null);
+        if (this.updateImmersionDepth() >= this.movementConfig.swimImmersionThreshold) {
+            this.movementInfo.currentFloor = new FloorResult();
+            this.setMoveMode(MoveMode.swimming);
+        } else if (floor.isWalkableFloor() && floor.floorDist <= MAX_FLOOR_DIST
+            && this.velocity.dot(this.movementInfo.gravityDir) >= 0) {
+            // close enough to keep walking or land
+            this.movementInfo.currentFloor = floor;
+            this.setMoveMode(MoveMode.walking);
+        } else {
+            this.movementInfo.currentFloor = new FloorResult();
+            this.setMoveMode(MoveMode.falling);
+        }
+        this.updateBase();
+        this.movementInfo.teleportCount++;
+        return true;
+    }
+
+    /**
+     * search rings of growing radius around pos, points above pos are tested first
+     * @param {Vec2} pos
+     * @return {Vec2} nearest capsule center not overlapping geometry, null if not found
+     */
+    findTeleportSpot(pos) {
+        if (!this.isEncroached(pos)) {
+            return pos.clone();
+        }
+        const upY = this.scene.getGravity(pos).y < 0 ? 1 : -1;
+        for (let dist = TELEPORT_SEARCH_STEP; dist <= MAX_TELEPORT_SEARCH_DIST; dist += TELEPORT_SEARCH_STEP) {
+            const count = Math.max(8, Math.ceil(Math.PI * 2 * dist / TELEPORT_SEARCH_STEP));
+            const angleStep = Math.PI * 2 / count;
+            for (let i = 0; i < count; i++) {
+                // 0, +step, -step, +2 step, -2 step ...
+                const angle = Math.ceil(i / 2) * angleStep * (i % 2 == 0 ? -1 : 1);
+                const spot = pos.add(new Vec2(Math.sin(angle), Math.cos(angle) * upY).mul(dist));
+                if (!this.isEncroached(spot)) {
+                    return spot;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Vec2} pos capsule center to test
+     * @return {boolean} capsule at pos overlaps blocking polygons or is inside one
+     */
+    isEncroached(pos) {
+        const capsule = new Capsule(pos, this.capsule.halfHeight, this.capsule.radius);
+        return capsule.overlayTest(this.scene) || this.scene.isInsideSolid(pos);
+    }
+
     /**
      * @param {Vec2} acceleration
      */
@@ -326,9 +716,10 @@ export default class Player {
             }
             const input = this.consumeMovement();
             this.acceleration = input.mul(this.maxAcceleration);
+            const moveState = this.saveMoveState();
             this.performMovement(dt);
             if (this.isNetMode) {
-                this.updateMoveMsg(dt);
+                this.updateMoveMsg(dt, moveState);
             }
         }
         else if (this.role == Role.authority) {
@@ -357,6 +748,26 @@ export default class Player {
         return Math.min(max, Math.max(value, min));
     }
 
+    /**
+     * evaluate a piecewise linear curve, clamped at both ends
+     * @param {[number, number][]} curve keys of [x, y] sorted by x
+     * @param {number} x
+     * @return {number} y of curve at x
+     */
+    evaluateCurve(curve, x) {
+        if (x <= curve[0][0]) {
+            return curve[0][1];
+        }
+        for (let i = 1; i < curve.length; i++) {
+            const [x0, y0] = curve[i - 1];
+            const [x1, y1] = curve[i];
+            if (x <= x1) {
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return curve[curve.length - 1][1];
+    }
+
     /**
      * @return {Player} clone this player, but only poisiton, color and id properties
      */
@@ -378,44 +789,42 @@ export default class Player {
             }
         }
         if (this.animator) {
-            let key = "";
-            switch (this.movementInfo.currentModeMode) {
-                case MoveMode.walking:
-                    if (this.velocity.x == 0) {
-                        key = "idle";
-                    } else {
-                        key = "walking";
-                    }
-                    break;
-                case MoveMode.falling:
-                    if (this.lastMoveMode == MoveMode.walking) {
-                        key = "jump";
-                        this.jumpRemainTimer = 0.18;// jump anime clip total duration
-                        this.jumpRemainTimer -= dt;
-                    } else if (this.jumpRemainTimer > 0) {
-                        this.jumpRemainTimer -= dt;
-                        key = "jump";
-                    } else {
-                        key = "falling";
-                    }
-                    break;
-                default:
-                    break;
-            }
+            const key = this.getAnimeKey(dt);
             this.lastMoveMode = this.movementInfo.currentModeMode;
+            this.lastJumpCount = this.movementInfo.jumpCount;
             if (this.velocity.x > 0) {
                 this.flipAnime = false;
             } else if (this.velocity.x < 0) {
                 this.flipAnime = true;
             }
             this.animator.setAnimeKey(key);
-            this.animator.draw(ctx, dt, this.pos, this.flipAnime, 2);
+            // simulated players do not move by themselves, find gravity direction at their position
+            const isUpsideDown = this.scene.getGravity(this.pos).y < 0;
+            const gravityDir = new Vec2(0, isUpsideDown ? -1 : 1);
+            // keep feet of sprite on the floor when crouched
+            const drawPos = this.pos.sub(gravityDir.mul(this.standHalfHeight - this.capsule.halfHeight));
+            this.animator.draw(ctx, dt, drawPos, this.flipAnime, 2, isUpsideDown);
         }
         if (Debug.showPos) {
             this.capsule.draw(ctx, "#C00000", null, true);
         }
     }
 
+    /**
+     * @param {number} dt
+     * @return {string} animation key of current move mode
+     */
+    getAnimeKey(dt) {
+        const mode = Player.moveModes.get(this.movementInfo.currentModeMode);
+        if (!mode || !mode.animeKey) {
+            return "";
+        }
+        if (typeof mode.animeKey == "string") {
+            return mode.animeKey;
+        }
+        return mode.animeKey(this, dt);
+    }
+
     /**
      * add movement
      * @param {Vec2} input
@@ -434,219 +843,1276 @@ export default class Player {
     }
 
     jump() {
-        // TODO: deal with double jump
-        if (this.movementInfo.currentModeMode != MoveMode.falling) {
-            this.movementInfo.pressedJump = true;
-        }
+        this.movementInfo.pressedJump = true;
+        this.movementInfo.jumpHoldTime = 0;
+    }
+
+    /**
+     * @return {boolean} can jump as on ground just after walking off a ledge
+     */
+    canCoyoteJump() {
+        return this.movementInfo.jumpCount == 0 && this.movementInfo.coyoteTimer > 0;
+    }
+
+    /**
+     * @return {boolean} can jump again when falling
+     */
+    canAirJump() {
+        // falling without jump also costs a jump
+        return Math.max(this.movementInfo.jumpCount, 1) < this.movementConfig.maxJumpCount;
     }
 
     stopJumping() {
         this.movementInfo.pressedJump = false;
     }
 
+    /**
+     * launch player into falling in next move, call it on autonomous client to predict the launch,
+     * or on server for launches client can not foresee
+     * @param {Vec2} velocity
+     * @param {boolean} [overrideX] replace horizontal velocity instead of adding to it
+     * @param {boolean} [overrideY] replace vertical velocity instead of adding to it
+     */
+    launch(velocity, overrideX = false, overrideY = false) {
+        const launchVelocity = velocity.clone();
+        if (!overrideX) {
+            launchVelocity.x += this.velocity.x;
+        }
+        if (!overrideY) {
+            launchVelocity.y += this.velocity.y;
+        }
+        this.movementInfo.pendingLaunchVelocity = launchVelocity;
+    }
+
+    /**
+     * add an impulse applied in next move, impulses of a move are accumulated
+     * @param {Vec2} impulse
+     * @param {boolean} [velocityChange] ignore mass and change velocity directly
+     */
+    addImpulse(impulse, velocityChange = false) {
+        const deltaVelocity = velocityChange ? impulse : impulse.div(this.movementConfig.mass);
+        this.movementInfo.pendingImpulse = this.movementInfo.pendingImpulse.add(deltaVelocity);
+    }
+
+    /**
+     * apply accumulated impulses, leave ground or ladder when pushed away
+     */
+    applyAccumulatedImpulse() {
+        const impulse = this.movementInfo.pendingImpulse;
+        if (impulse.isZero()) {
+            return;
+        }
+        this.movementInfo.pendingImpulse = new Vec2();
+        this.velocity = this.velocity.add(impulse);
+        const mode = this.movementInfo.currentModeMode;
+        const isOnGround = mode == MoveMode.walking || mode == MoveMode.sliding;
+        const isAttached = mode == MoveMode.hanging || mode == MoveMode.mantling || mode == MoveMode.climbing;
+        if ((isOnGround && this.velocity.dot(this.movementInfo.gravityDir) < -KINDA_SMALL_NUMBER) || isAttached) {
+            this.movementInfo.coyoteTimer = 0;
+            this.setMoveMode(MoveMode.falling);
+        }
+    }
+
+    /**
+     * apply pending launch
+     */
+    handlePendingLaunch() {
+        const launchVelocity = this.movementInfo.pendingLaunchVelocity;
+        if (!launchVelocity) {
+            return;
+        }
+        this.movementInfo.pendingLaunchVelocity = null;
+        this.velocity = launchVelocity.clone();
+        this.movementInfo.coyoteTimer = 0;
+        this.setMoveMode(MoveMode.falling);
+    }
+
+    /**
+     * teleport requested by autonomous client, it has teleported already unless replaying,
+     * server does not take the position from client but asks `acceptTeleportRequest`
+     */
+    handlePendingTeleport() {
+        const teleportPos = this.movementInfo.pendingTeleport;
+        if (!teleportPos) {
+            return;
+        }
+        this.movementInfo.pendingTeleport = null;
+        if (this.role == Role.authority) {
+            const acceptedPos = this.acceptTeleportRequest(teleportPos.clone());
+            if (acceptedPos) {
+                this.applyTeleport(acceptedPos);
+            }
+        } else if (this.isReplaying) {
+            this.applyTeleport(teleportPos);
+        }
+    }
+
     checkJump() {
+        let jumped = false;
+        /** @type {HitResult} floor or wall jumped from */
+        let jumpHit = null;
         if (this.movementInfo.currentModeMode == MoveMode.walking) {
-            if (this.movementInfo.pressedJump == true) {
-                this.velocity.y = Math.min(this.velocity.y, -this.movementConfig.jumpVelocity);
+            const floorPolygon = this.movementInfo.currentFloor.hitResult.polygon;
+            if (this.movementInfo.pressedJump == true && this.movementInfo.jumpHoldTime == 0
+                && this.acceleration.dot(this.movementInfo.gravityDir) > 0
+                && floorPolygon && floorPolygon.collisionType == CollisionType.oneWay) {
+                // hold toward the floor and jump to drop through one-way floor
+                this.dropThrough(floorPolygon);
+            } else if (this.movementInfo.pressedJump == true || this.movementInfo.jumpBufferTimer > 0) {
+                jumped = true;
+                jumpHit = this.movementInfo.currentFloor.hitResult;
+                this.applyJumpVelocity(this.movementConfig.jumpVelocity);
+                this.impartBaseVelocity();
+                this.movementInfo.jumpHoldTime = 0;
+                this.movementInfo.jumpCount = 1;
+                this.movementInfo.jumpBufferTimer = 0;
+                this.setMoveMode(MoveMode.falling);
+            }
+        } else if (this.movementInfo.currentModeMode == MoveMode.swimming) {
+            // only jump out of water when head is above the surface
+            if (this.movementInfo.pressedJump == true && this.movementInfo.immersionDepth < 1) {
+                jumped = true;
+                this.applyJumpVelocity(this.movementConfig.outOfWaterJumpVelocity);
                 this.movementInfo.jumpHoldTime = 0;
+                this.movementInfo.jumpCount = 1;
+                this.setMoveMode(MoveMode.falling);
+            }
+        } else if (this.movementInfo.currentModeMode == MoveMode.sliding) {
+            if (this.movementInfo.pressedJump == true && this.movementInfo.jumpHoldTime == 0) {
+                jumped = true;
+                this.applyJumpVelocity(this.movementConfig.jumpVelocity);
+                this.movementInfo.jumpCount = 1;
+                this.setMoveMode(MoveMode.falling);
+            }
+        } else if (this.movementInfo.currentModeMode == MoveMode.climbing) {
+            if (this.movementInfo.pressedJump == true && this.movementInfo.jumpHoldTime == 0) {
+                jumped = true;
+                this.velocity = new Vec2();
+                this.applyJumpVelocity(this.movementConfig.jumpVelocity);
+                this.movementInfo.jumpCount = 1;
+                this.setMoveMode(MoveMode.falling);
+            }
+        } else if (this.movementInfo.currentModeMode == MoveMode.hanging) {
+            if (this.movementInfo.pressedJump == true && this.movementInfo.jumpHoldTime == 0) {
+                jumped = true;
+                this.applyJumpVelocity(this.movementConfig.jumpVelocity);
+                this.movementInfo.jumpCount = 1;
                 this.setMoveMode(MoveMode.falling);
             }
+        } else if (this.movementInfo.currentModeMode == MoveMode.falling) {
+            // zero hold time means jump is just pressed
+            if (this.movementInfo.pressedJump == true && this.movementInfo.jumpHoldTime == 0) {
+                const wallHit = this.findWallContact();
+                if (this.canCoyoteJump()) {
+                    jumped = true;
+                    this.applyJumpVelocity(this.movementConfig.jumpVelocity);
+                    this.movementInfo.jumpCount = 1;
+                    this.movementInfo.coyoteTimer = 0;
+                } else if (wallHit.blockingHit) {
+                    // kick away from wall, and air jumps are available again
+                    jumped = true;
+                    jumpHit = wallHit;
+                    this.velocity = wallHit.impactNormal.mul(this.movementConfig.wallJumpHorizontalVelocity);
+                    this.applyJumpVelocity(this.movementConfig.wallJumpVelocity);
+                    this.movementInfo.jumpCount = 1;
+                    this.movementInfo.jumpBufferTimer = 0;
+                } else if (this.canAirJump()) {
+                    jumped = true;
+                    this.applyJumpVelocity(this.movementConfig.airJumpVelocity);
+                    this.movementInfo.jumpCount = Math.max(this.movementInfo.jumpCount, 1) + 1;
+                } else {
+                    // keep the press for a while, jump when landed
+                    this.movementInfo.jumpBufferTimer = this.movementConfig.jumpBufferTime;
+                }
+            }
+        }
+        if (jumped) {
+            this.emit(MoveEvent.jumped, {
+                hit: jumpHit,
+                velocity: this.velocity.clone(),
+            });
+        }
+    }
+
+    /**
+     * move against gravity at least at jump velocity
+     * @param {number} jumpVelocity
+     */
+    applyJumpVelocity(jumpVelocity) {
+        const gravityDir = this.movementInfo.gravityDir;
+        const fallSpeed = this.velocity.dot(gravityDir);
+        this.velocity = this.velocity.add(gravityDir.mul(Math.min(fallSpeed, -jumpVelocity) - fallSpeed));
+    }
+
+    /**
+     * limit speed along a direction
+     * @param {Vec2} dir
+     * @param {number} maxSpeed
+     */
+    limitSpeedAlong(dir, maxSpeed) {
+        const speed = this.velocity.dot(dir);
+        if (speed > maxSpeed) {
+            this.velocity = this.velocity.sub(dir.mul(speed - maxSpeed));
         }
     }
 
+    /**
+     * drop through one-way floor standing on
+     * @param {Polygon} floorPolygon
+     */
+    dropThrough(floorPolygon) {
+        this.movementInfo.pressedJump = false;
+        this.setMoveMode(MoveMode.falling);
+        // sink into the floor, one-way polygon does not block when start penetrating
+        this.move(this.movementInfo.gravityDir.mul(MAX_FLOOR_DIST + 1), floorPolygon);
+    }
+
     /**
      * @param {number} dt
      */
     clearJump(dt) {
         if (this.movementInfo.pressedJump) {
             this.movementInfo.jumpHoldTime += dt;
-            if (this.movementInfo.jumpHoldTime >= this.movementConfig.maxJumpHoldTime) {
+            const maxJumpHoldTime = this.movementInfo.jumpCount > 1 ?
+                this.movementConfig.maxAirJumpHoldTime : this.movementConfig.maxJumpHoldTime;
+            if (this.movementInfo.jumpHoldTime >= maxJumpHoldTime) {
+                this.movementInfo.pressedJump = false;
+            }
+        }
+        this.movementInfo.coyoteTimer = Math.max(0, this.movementInfo.coyoteTimer - dt);
+        if (this.movementInfo.jumpBufferTimer > 0) {
+            this.movementInfo.jumpBufferTimer = Math.max(0, this.movementInfo.jumpBufferTimer - dt);
+            if (this.movementInfo.jumpBufferTimer == 0) {
+                // buffered jump expired, drop this press
                 this.movementInfo.pressedJump = false;
             }
         }
     }
 
+    dash() {
+        this.movementInfo.pressedDash = true;
+    }
+
+    /**
+     * start dashing toward input direction, or moving direction if there is no input
+     */
+    checkDash() {
+        const mode = this.movementInfo.currentModeMode;
+        if (!this.movementInfo.pressedDash || this.movementInfo.dashCooldownTimer > 0 || this.movementInfo.isCrouched
+            || (mode != MoveMode.walking && mode != MoveMode.falling)) {
+            return;
+        }
+        this.movementInfo.dashDirection = Math.sign(this.acceleration.x) || Math.sign(this.velocity.x) || 1;
+        this.movementInfo.dashTime = 0;
+        this.movementInfo.dashCooldownTimer = this.movementConfig.dashCooldown;
+        this.setMoveMode(MoveMode.dashing);
+    }
+
+    /**
+     * @param {number} dt
+     */
+    clearDash(dt) {
+        // dash press is not buffered
+        this.movementInfo.pressedDash = false;
+        this.movementInfo.dashCooldownTimer = Math.max(0, this.movementInfo.dashCooldownTimer - dt);
+    }
+
+    /**
+     * perform dashing movement, move horizontally at dash speed without gravity
+     * @param {number} dt delta time
+     */
+    physDashing(dt) {
+        const dashDuration = this.movementConfig.dashDuration;
+        const dashTime = Math.min(dt, Math.max(0, dashDuration - this.movementInfo.dashTime));
+        this.movementInfo.dashTime += dashTime;
+        const dashVelocity = new Vec2(this.movementInfo.dashDirection * this.movementConfig.dashSpeed, 0);
+        const delta = dashVelocity.mul(dashTime);
+        if (!delta.isZero()) {
+            const hit = this.move(delta);
+            if (hit.isValidBlock()) {
+                this.slideAlongSurface(delta, 1 - hit.time, hit.normal, hit);
+            }
+        }
+        this.velocity = dashVelocity;
+        if (this.movementInfo.dashTime >= dashDuration - KINDA_SMALL_NUMBER) {
+            // keep running at max speed after dash, on floor without landing if there is one
+            this.velocity = new Vec2(this.movementInfo.dashDirection * this.getMaxSpeed(), 0);
+            const floor = this.findFloor(this.capsule.center, null);
+            this.setMoveMode(floor.isWalkableFloor() ? MoveMode.walking : MoveMode.falling);
+            if (dt - dashTime > MIN_TICK_TIME) {
+                this.startNewPhysics(dt - dashTime);
+            }
+        }
+    }
+
+    crouch() {
+        this.movementInfo.wantsToCrouch = true;
+    }
+
+    unCrouch() {
+        this.movementInfo.wantsToCrouch = false;
+    }
+
+    /**
+     * @return {boolean} can crouch in current move mode
+     */
+    canCrouchInCurrentState() {
+        return this.movementInfo.currentModeMode == MoveMode.walking
+            || this.movementInfo.currentModeMode == MoveMode.falling;
+    }
+
+    /**
+     * crouch or uncrouch according to crouch input
+     */
+    updateCrouch() {
+        if (this.movementInfo.wantsToCrouch && this.canCrouchInCurrentState()) {
+            if (!this.movementInfo.isCrouched) {
+                this.doCrouch();
+            }
+        } else if (this.movementInfo.isCrouched) {
+            this.doUnCrouch();
+        }
+    }
+
+    /**
+     * shrink capsule to crouched height, keep feet planted
+     */
+    doCrouch() {
+        const heightAdjust = this.capsule.halfHeight - this.movementConfig.crouchedHalfHeight;
+        const pos = this.pos;
+        this.setCrouchShape(true);
+        this.pos = pos.add(this.movementInfo.gravityDir.mul(heightAdjust));
+    }
+
+    /**
+     * grow capsule to standing height, keep feet planted
+     * @return {boolean} is uncrouched, false if there is no room to stand
+     */
+    doUnCrouch() {
+        const heightAdjust = this.standHalfHeight - this.capsule.halfHeight;
+        const standPos = this.pos.sub(this.movementInfo.gravityDir.mul(heightAdjust));
+        const testCapsule = new Capsule(standPos, this.standHalfHeight, this.capsule.radius);
+        if (testCapsule.overlayTest(this.scene)) {
+            return false;
+        }
+        this.setCrouchShape(false);
+        this.pos = standPos;
+        return true;
+    }
+
+    /**
+     * set capsule shape of crouch state, position is not changed
+     * @param {boolean} isCrouched
+     */
+    setCrouchShape(isCrouched) {
+        this.movementInfo.isCrouched = isCrouched;
+        this.capsule.setHalfHeight(isCrouched ? this.movementConfig.crouchedHalfHeight : this.standHalfHeight);
+        if (this.body) {
+            this.body.setCapsule(this.capsule);
+        }
+    }
+
+    /**
+     * @return {number} max walking speed
+     */
+    getMaxSpeed() {
+        return this.movementInfo.isCrouched ? this.movementConfig.maxCrouchSpeed : this.maxSpeed;
+    }
+
     /**
      * @param {number} dt delta time
      */
     performMovement(dt) {
+        this.movementInfo.pushedProps = [];
+        this.movementInfo.lastContactEvents = this.movementInfo.contactEvents;
+        this.movementInfo.contactEvents = new Set();
+        this.setBodyCollision(false);
+        this.handlePendingTeleport();
+        this.updateGravity();
+        this.updateBasedMovement();
+        this.updateCrouch();
+        this.applyAccumulatedImpulse();
+        this.handlePendingLaunch();
         this.checkJump();
         this.clearJump(dt);
-        this.startNewPhysics(dt);
+        this.checkDash();
+        this.clearDash(dt);
+        this.simulatePhysics(dt);
+        this.updateBase();
+        this.setBodyCollision(true);
     }
 
     /**
+     * run physics of current move mode in sub steps, like UE GetSimulationTimeStep
      * @param {number} dt delta time
      */
-    startNewPhysics(dt) {
-        switch (this.movementInfo.currentModeMode) {
-            case MoveMode.falling:
-                this.physFalling(dt);
-                break;
-            case MoveMode.walking:
-                this.physWalking(dt);
-                break;
-            default:
-                this.velocity = new Vec2();
-                break;
+    simulatePhysics(dt) {
+        let remainTime = dt;
+        let iterations = 0;
+        while (remainTime >= MIN_TICK_TIME && iterations < this.movementConfig.maxIterations) {
+            iterations++;
+            const timeTick = this.getSimulationTimeStep(remainTime, iterations);
+            remainTime -= timeTick;
+            if (iterations > 1) {
+                // may enter a gravity volume in last sub step
+                this.updateGravity();
+            }
+            this.startNewPhysics(timeTick);
+        }
+    }
+
+    /**
+     * @param {number} remainTime
+     * @param {number} iterations sub step count including this one
+     * @return {number} time of next sub step, time left after the last iteration is dropped
+     */
+    getSimulationTimeStep(remainTime, iterations) {
+        const maxTimeStep = this.movementConfig.maxSimulationTimeStep;
+        if (remainTime <= maxTimeStep) {
+            return remainTime;
+        }
+        if (iterations < this.movementConfig.maxIterations) {
+            // do not leave a tiny step at the end
+            return Math.min(maxTimeStep, remainTime * 0.5);
         }
+        // never take a step longer than max, drop the excess instead
+        return maxTimeStep;
     }
 
+    /**
+     * find gravity at current position, leave floor or ledge when gravity direction is reversed
+     */
+    updateGravity() {
+        const gravity = this.scene.getGravity(this.pos).mul(this.movementConfig.gravityScale);
+        const gravityDir = new Vec2(0, gravity.y < 0 ? -1 : 1);
+        this.movementInfo.gravity = gravity;
+        if (gravityDir.y == this.movementInfo.gravityDir.y) {
+            return;
+        }
+        this.movementInfo.gravityDir = gravityDir;
+        this.movementInfo.currentFloor = new FloorResult();
+        const mode = this.movementInfo.currentModeMode;
+        if (mode == MoveMode.walking || mode == MoveMode.sliding || mode == MoveMode.hanging || mode == MoveMode.mantling) {
+            if (this.movementInfo.isCrouched) {
+                // feet are on the other side now
+                this.doUnCrouch();
+            }
+            this.setMoveMode(MoveMode.falling);
+        }
+    }
+
+    /**
+     * follow movement of base polygon since last move
+     */
+    updateBasedMovement() {
+        const base = this.movementInfo.basePolygon;
+        const sceneTime = this.scene.time;
+        if (base && sceneTime != this.movementInfo.sceneTime) {
+            const delta = base.transformPoint(this.pos, this.movementInfo.sceneTime, sceneTime).sub(this.pos);
+            if (!delta.isZero()) {
+                // base has moved to new pose, do not collide with it
+                this.move(delta, base);
+            }
+            this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
+        } else if (this.movementInfo.currentModeMode == MoveMode.walking
+            && (this.movementInfo.currentFloor.hitResult.polygon instanceof BodyPolygon
+                || this.movementInfo.currentFloor.hitResult.polygon instanceof DynamicProp)) {
+            // standing on another player or a prop, which may have moved away
+            this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
+        }
+    }
+
+    /**
+     * remember the kinematic polygon standing on, and follow it in next move
+     */
+    updateBase() {
+        const currentFloor = this.movementInfo.currentFloor;
+        const polygon = currentFloor.hitResult.polygon;
+        if (this.movementInfo.currentModeMode == MoveMode.walking && currentFloor.isWalkableFloor()
+            && polygon instanceof KinematicPolygon) {
+            this.movementInfo.basePolygon = polygon;
+        } else {
+            this.movementInfo.basePolygon = null;
+        }
+        this.movementInfo.sceneTime = this.scene.time;
+    }
+
+    /**
+     * keep velocity of base polygon when leaving it
+     */
+    impartBaseVelocity() {
+        const base = this.movementInfo.basePolygon;
+        if (base) {
+            this.velocity = this.velocity.add(base.getVelocityAt(this.pos, this.scene.time));
+        }
+    }
+
+    /**
+     * @param {number} dt delta time
+     */
+    startNewPhysics(dt) {
+        const mode = Player.moveModes.get(this.movementInfo.currentModeMode);
+        if (mode) {
+            mode.phys(this, dt);
+        } else {
+            this.velocity = new Vec2();
+        }
+    }
+
+
+    /**
+     * set new move mode
+     * @param {number} moveMode
+     */
+    setMoveMode(moveMode) {
+        const lastMode = this.movementInfo.currentModeMode;
+        if (moveMode != lastMode) {
+            const mode = Player.moveModes.get(lastMode);
+            if (mode && mode.onExit) {
+                mode.onExit(this, moveMode);
+            }
+            this.movementInfo.currentModeMode = moveMode;
+            this.onMoveModeChange(lastMode);
+        }
+    }
+
+    /**
+     * called when movemode change
+     * @param {number} lastMode
+     */
+    onMoveModeChange(lastMode) {
+        const mode = Player.moveModes.get(this.movementInfo.currentModeMode);
+        if (mode && mode.onEnter) {
+            mode.onEnter(this, lastMode);
+        }
+    }
+
+    /**
+     * @return {any} state of current move mode
+     */
+    saveModeState() {
+        const mode = Player.moveModes.get(this.movementInfo.currentModeMode);
+        if (mode && mode.saveState) {
+            return mode.saveState(this);
+        }
+        return null;
+    }
+
+    /**
+     * @param {any} state state of current move mode
+     */
+    restoreModeState(state) {
+        const mode = Player.moveModes.get(this.movementInfo.currentModeMode);
+        if (mode && mode.restoreState) {
+            mode.restoreState(this, state);
+        }
+    }
+
+    /**
+     * Test if hit location is walkable
+     * @param {HitResult} hit
+     * @return {boolean}
+     */
+    isWalkable(hit) {
+        if (!hit.isValidBlock()) {
+            return false;
+        }
+        const floorUp = -hit.impactNormal.dot(this.movementInfo.gravityDir);
+        if (floorUp < KINDA_SMALL_NUMBER) {
+            return false;
+        }
+        const walkableFloorRadian = this.getHitMaterial(hit).walkableFloorRadian;
+        return floorUp >= Math.cos(walkableFloorRadian != null ? walkableFloorRadian : this.movementConfig.walkableFloorRadian);
+    }
+
+    /**
+     * @param {HitResult} hit
+     * @return {PhysicalMaterial} material of hit segment
+     */
+    getHitMaterial(hit) {
+        if (!hit.polygon) {
+            return PhysicalMaterial.default;
+        }
+        return hit.polygon.getMaterial(hit.segmentIndex);
+    }
+
+    /**
+     * bounce off a surface with restitution
+     * @param {HitResult} hit
+     * @return {boolean} is bounced
+     */
+    tryBounce(hit) {
+        if (!hit.isValidBlock()) {
+            return false;
+        }
+        const restitution = this.getHitMaterial(hit).restitution;
+        const normalSpeed = -this.velocity.dot(hit.impactNormal);
+        if (normalSpeed * restitution < MIN_BOUNCE_SPEED) {
+            return false;
+        }
+        this.velocity = this.velocity.add(hit.impactNormal.mul(normalSpeed * (1 + restitution)));
+        return true;
+    }
+
+    /**
+     *
+     * @param {Vec2} capsuleCenter
+     * @param {Vec2} impactPoint
+     * @param {number} radius
+     * @return {boolean}
+     */
+    isWithinEdgeTolerance(capsuleCenter, impactPoint, radius) {
+        if (Math.abs(impactPoint.x - capsuleCenter.x) > Math.max(SWEEP_EDGE_REJECT_DISTANCE, radius - SWEEP_EDGE_REJECT_DISTANCE)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * perform falling movement
+     * @param {number} dt delta time
+     */
+    physFalling(dt) {
+        /**
+         * Test if hit location is a valid landing spot
+         * @param {Vec2} capsuleCenter
+         * @param {HitResult} hit
+         * @return {boolean}
+         */
+        const isValidLandingSpot = (capsuleCenter, hit) => {
+            if (!hit.blockingHit) {
+                return false;
+            }
+            if (!hit.startPenetrating) {
+                if (!this.isWalkable(hit)) {
+                    return false;
+                }
+                if (hit.impactPoint.sub(capsuleCenter).dot(gravityDir) <= this.capsule.radius) {
+                    return false;
+                }
+                if (!this.isWithinEdgeTolerance(hit.location, hit.impactPoint, this.capsule.radius)) {
+                    return false;
+                }
+            } else {
+                if (-hit.normal.dot(gravityDir) < KINDA_SMALL_NUMBER) {
+                    return false;
+                }
+            }
+            // TODO: FindFlooor
+            const floorResult = this.findFloor(capsuleCenter, hit);
+            if (floorResult.isWalkableFloor()) {
+                return true;
+            }
+            return false;
+        }
+
+        const gravityDir = this.movementInfo.gravityDir;
+        // only enter water when moving down, so jumping out of water will not be swallowed
+        const immersionDepth = this.updateImmersionDepth();
+        if (this.velocity.dot(gravityDir) >= 0 && immersionDepth >= this.movementConfig.swimImmersionThreshold) {
+            this.setMoveMode(MoveMode.swimming);
+            this.startNewPhysics(dt);
+            return;
+        }
+        if (this.tryClimb()) {
+            this.startNewPhysics(dt);
+            return;
+        }
+
+        this.updateWallContact();
+        if (this.tryGrabLedge()) {
+            return;
+        }
+        const fallAcceleration = this.acceleration.clone();
+        fallAcceleration.y = 0;
+        fallAcceleration.x *= this.movementConfig.airControl;
+        let gravity = this.movementInfo.gravity;
+        if (this.movementInfo.pressedJump && this.movementInfo.jumpBufferTimer == 0) {
+            gravity = gravity.mul(this.movementConfig.holdJumpGravityScale);
+        }
+        const oldVelocity = this.velocity.clone();
+        this.velocity = this.velocity.add(gravity.add(fallAcceleration).mul(dt));
+        if (!gravity.isZero()) {
+            this.limitSpeedAlong(gravity.normalize(), this.movementConfig.maxFallSpeed);
+        }
+        if (this.movementInfo.isWallSliding) {
+            this.limitSpeedAlong(gravityDir, this.movementConfig.wallSlideMaxFallSpeed);
+        }
+        let adjusted = oldVelocity.add(this.velocity).mul(0.5 * dt);
+        let hit = this.move(adjusted);
+        if (hit.blockingHit) {
+            let remainTime = dt * (1 - hit.time);
+            if (this.tryBounce(hit)) {
+                return;
+            }
+            if (isValidLandingSpot(this.capsule.center, hit)) {
+                this.processLanded(remainTime, hit);
+                return;
+            } else if (this.canSlideOn(hit)) {
+                this.setMoveMode(MoveMode.sliding);
+                this.startNewPhysics(remainTime);
+                return;
+            } else {
+                this.notifyHitWall(hit);
+                adjusted = this.velocity.mul(dt);
+                // TODO: additional valid landing check
+                const oldHitNormal = hit.normal.clone();
+                const oldHitImpackNormal = hit.impactNormal.clone();
+                // slide along contact normal, face normal of a corner may block falling
+                const slideNormal = hit.startPenetrating ? oldHitImpackNormal : oldHitNormal;
+                let slideDelta = this.computeSlideVector(adjusted, 1 - hit.time, slideNormal);
+                this.velocity = slideDelta.div(remainTime);
+                if (remainTime > 0.0001 && slideDelta.dot(adjusted) > 0) {
+                    hit = this.move(slideDelta);
+                    if (hit.blockingHit) {
+                        remainTime = remainTime * (1 - hit.time);
+                        if (isValidLandingSpot(this.capsule.center, hit)) {
+                            this.processLanded(remainTime, hit);
+                            return;
+                        }
+                        const twoWallDelta = this.twoWallAdjust(slideDelta, hit, slideNormal);
+                        // straddling two slopes, neither of which can be stood on
+                        const isDitch = oldHitImpackNormal.dot(gravityDir) < 0 && hit.impactNormal.dot(gravityDir) < 0
+                            && Math.abs(twoWallDelta.dot(gravityDir)) <= KINDA_SMALL_NUMBER && hit.impactNormal.dot(oldHitImpackNormal) < 0;
+                        const twoWallHitNormal = hit.impactNormal.clone();
+                        hit = twoWallDelta.isZero() ? new HitResult() : this.move(twoWallDelta);
+                        if (hit.time == 0) {
+                            // stuck, try side step
+                            const sideX = Math.sign(slideNormal.x + twoWallHitNormal.x);
+                            if (sideX != 0) {
+                                hit = this.move(new Vec2(sideX, 0));
+                            }
+                        }
+                        if (isDitch || isValidLandingSpot(this.capsule.center, hit) || hit.time == 0) {
+                            this.processLanded(0, hit);
+                            return;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * compute slide vector along a surface, falling will not be boosted up by slopes
+     * @param {Vec2} delta
+     * @param {number} time
+     * @param {Vec2} normal
+     * @return {Vec2} slide vector
+     */
+    computeSlideVector(delta, time, normal) {
+        const gravityDir = this.movementInfo.gravityDir;
+        let result = delta.planeProject(normal).mul(time);
+        const resultDown = result.dot(gravityDir);
+        if (this.movementInfo.currentModeMode == MoveMode.falling && resultDown < 0) {
+            const slideResult = result.clone();
+            const downLimit = delta.dot(gravityDir) * time;
+            if (resultDown - downLimit < -KINDA_SMALL_NUMBER) {
+                if (downLimit < 0) {
+                    result = result.mul(downLimit / resultDown);
+                } else {
+                    result = new Vec2();
+                }
+
+                const remainderX = new Vec2(slideResult.sub(result).x, 0);
+                const normalX = new Vec2(Math.sign(normal.x), 0);
+                const adjust = remainderX.planeProject(normalX);
+                result = result.add(adjust);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * move along a blocking surface, adjust once more if hit another wall
+     * @param {Vec2} delta
+     * @param {number} time percent of delta to apply
+     * @param {Vec2} normal
+     * @param {HitResult} hit
+     * @return {number} percent of delta applied
+     */
+    slideAlongSurface(delta, time, normal, hit) {
+        const gravityDir = this.movementInfo.gravityDir;
+        let slideNormal = normal.clone();
+        if (this.movementInfo.currentModeMode == MoveMode.walking) {
+            if (slideNormal.dot(gravityDir) < 0) {
+                // not to be pushed up an unwalkable surface
+                if (!this.isWalkable(hit)) {
+                    slideNormal = new Vec2(Math.sign(slideNormal.x), 0);
+                }
+            } else if (slideNormal.dot(gravityDir) > KINDA_SMALL_NUMBER) {
+                // not to push down into floor when hit by top of capsule
+                const currentFloor = this.movementInfo.currentFloor;
+                if (currentFloor.floorDist < MIN_FLOOR_DIST && currentFloor.blockingHit) {
+                    slideNormal = new Vec2(Math.sign(slideNormal.x), 0);
+                }
+            }
+        }
+
+        let slideDelta = this.computeSlideVector(delta, time, slideNormal);
+        if (slideDelta.dot(delta) <= 0) {
+            return 0;
+        }
+        let slideHit = this.move(slideDelta);
+        let percentTimeApplied = slideHit.time;
+        if (slideHit.isValidBlock()) {
+            const firstHitPercent = slideHit.time;
+            slideDelta = this.twoWallAdjust(slideDelta, slideHit, slideNormal);
+            if (slideDelta.length() > 1e-3 && slideDelta.dot(delta) > 0) {
+                slideHit = this.move(slideDelta);
+                percentTimeApplied += slideHit.time * (1 - firstHitPercent);
+            }
+        }
+        return this.clamp(0, 1, percentTimeApplied);
+    }
+
+    /**
+     * adjust slide delta after hitting a second wall
+     * @param {Vec2} delta slide delta
+     * @param {HitResult} hit hit of second wall
+     * @param {Vec2} oldHitNormal normal of first wall
+     * @return {Vec2} adjusted delta
+     */
+    twoWallAdjust(delta, hit, oldHitNormal) {
+        const hitNormal = hit.normal;
+        let result;
+        if (oldHitNormal.dot(hitNormal) <= 0) {
+            // 90 degree or less crease, there is no direction along both walls in 2d
+            result = new Vec2();
+        } else {
+            result = this.computeSlideVector(delta, 1 - hit.time, hitNormal);
+            if (result.dot(delta) <= 0) {
+                result = new Vec2();
+            } else if (Math.abs(hitNormal.dot(oldHitNormal) - 1) < KINDA_SMALL_NUMBER) {
+                // hit the same wall again, nudge away
+                result = result.add(hitNormal.mul(0.01));
+            }
+        }
+
+        if (this.movementInfo.currentModeMode == MoveMode.walking) {
+            const gravityDir = this.movementInfo.gravityDir;
+            if (result.dot(gravityDir) < 0) {
+                // slide up walkable surfaces only, keep horizontal speed
+                const floorUp = -hitNormal.dot(gravityDir);
+                if (this.isWalkable(hit) && floorUp > KINDA_SMALL_NUMBER) {
+                    const scaledDelta = result.normalize().mul(delta.length());
+                    result = new Vec2(delta.x, 0).add(gravityDir.mul(scaledDelta.dot(gravityDir) / floorUp)).mul(1 - hit.time);
+                    const stepHeight = -result.dot(gravityDir);
+                    if (stepHeight > this.movementConfig.maxStepHeight) {
+                        result = result.mul(this.movementConfig.maxStepHeight / stepHeight);
+                    }
+                } else {
+                    result.y = 0;
+                }
+            } else if (result.dot(gravityDir) > 0) {
+                // not to push down into floor
+                const currentFloor = this.movementInfo.currentFloor;
+                if (currentFloor.floorDist < MIN_FLOOR_DIST && currentFloor.blockingHit) {
+                    result.y = 0;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * test if hit surface is too steep to walk on but not steep enough to be a wall
+     * @param {HitResult} hit
+     * @return {boolean}
+     */
+    canSlideOn(hit) {
+        return hit.isValidBlock() && !this.isWalkable(hit)
+            && -hit.impactNormal.dot(this.movementInfo.gravityDir) > Math.cos(this.movementConfig.slidableFloorRadian);
+    }
+
+    /**
+     * test if capsule rests in a ditch, where the unwalkable slope under it meets another slope facing it
+     * @param {Vec2} capsuleCenter
+     * @param {HitResult} floorHit slope under capsule
+     * @return {boolean}
+     */
+    isInDitch(capsuleCenter, floorHit) {
+        const gravityDir = this.movementInfo.gravityDir;
+        if (!floorHit.isValidBlock() || this.isWalkable(floorHit) || -floorHit.impactNormal.dot(gravityDir) < KINDA_SMALL_NUMBER) {
+            return false;
+        }
+        // probe down the slope for the other side of the ditch
+        const downSlope = gravityDir.planeProject(floorHit.impactNormal).normalize();
+        const testCapsule = new Capsule(capsuleCenter, this.capsule.halfHeight, this.capsule.radius);
+        const hit = testCapsule.sweepScene(downSlope, MAX_FLOOR_DIST, this.scene);
+        return hit.isValidBlock() && -hit.impactNormal.dot(gravityDir) > KINDA_SMALL_NUMBER
+            && hit.impactNormal.dot(downSlope) < 0;
+    }
+
+    /**
+     * place capsule where it keeps the same small gap to both slopes of the ditch, so it rests centered in it
+     * @param {HitResult} floorHit slope under capsule
+     */
+    settleInDitch(floorHit) {
+        const gravityDir = this.movementInfo.gravityDir;
+        const downSlope = gravityDir.planeProject(floorHit.impactNormal).normalize();
+        const otherHit = this.capsule.sweepScene(downSlope, MAX_FLOOR_DIST, this.scene);
+        const n1 = floorHit.impactNormal;
+        const n2 = otherHit.impactNormal;
+        const det = n1.x * n2.y - n1.y * n2.x;
+        if (!otherHit.isValidBlock() || Math.abs(det) < KINDA_SMALL_NUMBER) {
+            return;
+        }
+        // center of lower hemisphere lies on both slopes offset by radius and gap
+        const offset = this.capsule.radius + MOVE_AVOID_DIST;
+        const k1 = n1.dot(floorHit.impactPoint) + offset;
+        const k2 = n2.dot(otherHit.impactPoint) + offset;
+        const sphereCenter = new Vec2((k1 * n2.y - k2 * n1.y) / det, (n1.x * k2 - n2.x * k1) / det);
+        const oldLocation = this.pos;
+        this.pos = sphereCenter.sub(gravityDir.mul(this.capsule.halfHeight));
+        if (this.capsule.overlayTest(this.scene)) {
+            this.pos = oldLocation;
+        }
+    }
+
+    /**
+     * perform sliding movement, accelerate down along unwalkable slope with friction
+     * @param {number} dt delta time
+     */
+    physSliding(dt) {
+        if (dt < MIN_TICK_TIME) {
+            return;
+        }
+        const floorHit = this.capsule.sweepScene(this.movementInfo.gravityDir, MAX_FLOOR_DIST, this.scene);
+        if (this.isWalkable(floorHit)) {
+            this.processLanded(dt, floorHit);
+            return;
+        }
+        if (this.isInDitch(this.capsule.center, floorHit)) {
+            // stuck between two slopes, stand in the ditch like UE
+            this.velocity = new Vec2();
+            this.settleInDitch(floorHit);
+            this.processLanded(dt, this.capsule.sweepScene(this.movementInfo.gravityDir, MAX_FLOOR_DIST, this.scene));
+            return;
+        }
+        if (!this.canSlideOn(floorHit)) {
+            this.setMoveMode(MoveMode.falling);
+            this.startNewPhysics(dt);
+            return;
+        }
+
+        const normal = floorHit.impactNormal;
+        const gravity = this.movementInfo.gravity;
+        let velocity = this.velocity.planeProject(normal).add(gravity.planeProject(normal).mul(dt));
+        // friction is proportional to how hard gravity presses capsule onto the slope
+        const frictionDeceleration = this.movementConfig.slideFriction * this.getHitMaterial(floorHit).friction * gravity.dot(normal) * -1;
+        const speed = velocity.length();
+        if (speed > 0) {
+            velocity = velocity.mul(Math.max(0, speed - frictionDeceleration * dt) / speed);
+        }
+
+        const oldLocation = this.pos;
+        const delta = velocity.mul(dt);
+        if (!delta.isZero()) {
+            const hit = this.move(delta);
+            if (hit.isValidBlock()) {
+                if (this.isWalkable(hit)) {
+                    this.velocity = velocity;
+                    this.processLanded(dt * (1 - hit.time), hit);
+                    return;
+                }
+                const slideDelta = this.computeSlideVector(delta, 1 - hit.time, hit.normal);
+                if (slideDelta.dot(delta) > 0) {
+                    this.move(slideDelta);
+                }
+            }
+        }
+        this.velocity = this.pos.sub(oldLocation).div(dt);
+    }
+
+    /**
+     * find a near vertical wall beside capsule
+     * @return {HitResult} wall hit, not blocking hit if there is no wall
+     */
+    findWallContact() {
+        for (let side of [-1, 1]) {
+            const hit = this.capsule.sweepScene(new Vec2(side, 0), WALL_PROBE_DIST, this.scene);
+            if (hit.isValidBlock() && hit.impactNormal.x * side < 0
+                && Math.abs(hit.impactNormal.y) <= Math.sin(this.movementConfig.wallSlideRadian)) {
+                return hit;
+            }
+        }
+        return new HitResult();
+    }
+
+    /**
+     * update wall contact, slide down the wall when falling and pushing into it
+     */
+    updateWallContact() {
+        const wallHit = this.findWallContact();
+        this.movementInfo.wallContact = wallHit;
+        this.movementInfo.isWallSliding = wallHit.blockingHit && this.velocity.dot(this.movementInfo.gravityDir) > 0
+            && this.acceleration.x * wallHit.impactNormal.x < 0;
+    }
+
+    /**
+     * find a ledge on top of the wall, which is in reach of hands and has room to stand
+     * @param {HitResult} wallHit
+     * @return {Ledge} ledge, or null if there is no ledge
+     */
+    findLedge(wallHit) {
+        const radius = this.capsule.radius;
+        const halfHeight = this.capsule.halfHeight;
+        const reach = this.movementConfig.ledgeGrabReach;
+        const side = -Math.sign(wallHit.impactNormal.x);
+        const handY = this.pos.y - halfHeight - radius;
+        // probe ledge top just inside the wall
+        const probeStart = new Vec2(wallHit.impactPoint.x + side * LEDGE_PROBE_INSET, handY - reach);
+        const topHit = lineSweep(probeStart, new Vec2(0, 1), reach * 2, this.scene);
+        if (!topHit.blockingHit || topHit.time == 0 || !this.isWalkable(topHit) || topHit.polygon instanceof BodyPolygon
+            || topHit.polygon instanceof DynamicProp) {
+            return null;
+        }
+        const ledgeY = topHit.impactPoint.y;
+        const avgFloorDist = (MIN_FLOOR_DIST + MAX_FLOOR_DIST) * 0.5;
+        const hangPos = new Vec2(this.pos.x, ledgeY + halfHeight);
+        const standPos = new Vec2(wallHit.impactPoint.x + side * radius, ledgeY - halfHeight - radius - avgFloorDist);
+
+        // validate path like step up: move to hang position, up along the wall, then forward onto the ledge
+        const path = [this.pos, hangPos, new Vec2(hangPos.x, standPos.y), standPos];
+        for (let i = 1; i < path.length; i++) {
+            const delta = path[i].sub(path[i - 1]);
+            if (delta.isZero()) {
+                continue;
+            }
+            const testCapsule = new Capsule(path[i - 1], halfHeight, radius);
+            const hit = testCapsule.sweepScene(delta.normalize(), delta.length(), this.scene);
+            if (hit.blockingHit) {
+                return null;
+            }
+        }
+        if (new Capsule(standPos, halfHeight, radius).overlayTest(this.scene)) {
+            return null;
+        }
+        return {
+            hangPos: hangPos,
+            standPos: standPos,
+        };
+    }
+
+    /**
+     * grab a ledge when falling down along a wall and pushing into it
+     * @return {boolean} is ledge grabbed
+     */
+    tryGrabLedge() {
+        const wallHit = this.movementInfo.wallContact;
+        // ledges are only grabbed under downward gravity
+        if (this.movementInfo.gravityDir.y < 0) {
+            return false;
+        }
+        if (!wallHit.blockingHit || this.velocity.y < 0 || this.acceleration.y > 0
+            || this.acceleration.x * wallHit.impactNormal.x >= 0) {
+            return false;
+        }
+        const ledge = this.findLedge(wallHit);
+        if (!ledge) {
+            return false;
+        }
+        this.movementInfo.ledge = ledge;
+        this.pos = ledge.hangPos;
+        this.velocity = new Vec2();
+        this.setMoveMode(MoveMode.hanging);
+        return true;
+    }
+
+    /**
+     * hang on ledge, press up to mantle or press down to drop
+     * @param {number} dt delta time
+     */
+    physHanging(dt) {
+        this.velocity = new Vec2();
+        if (this.acceleration.y > 0) {
+            this.setMoveMode(MoveMode.falling);
+            this.startNewPhysics(dt);
+        } else if (this.acceleration.y < 0) {
+            this.movementInfo.mantleTime = 0;
+            this.setMoveMode(MoveMode.mantling);
+            this.startNewPhysics(dt);
+        }
+    }
+
+    /**
+     * climb up along the wall, then forward onto the ledge
+     * @param {number} dt delta time
+     */
+    physMantling(dt) {
+        if (dt < MIN_TICK_TIME) {
+            return;
+        }
+        const ledge = this.movementInfo.ledge;
+        this.movementInfo.mantleTime = Math.min(this.movementInfo.mantleTime + dt, this.movementConfig.mantleDuration);
+        const upDist = ledge.hangPos.y - ledge.standPos.y;
+        const forwardDist = Math.abs(ledge.standPos.x - ledge.hangPos.x);
+        const dist = (upDist + forwardDist) * this.movementInfo.mantleTime / this.movementConfig.mantleDuration;
+        let pos;
+        if (dist <= upDist) {
+            pos = new Vec2(ledge.hangPos.x, ledge.hangPos.y - dist);
+        } else {
+            pos = new Vec2(ledge.hangPos.x + Math.sign(ledge.standPos.x - ledge.hangPos.x) * (dist - upDist), ledge.standPos.y);
+        }
+        this.velocity = pos.sub(this.pos).div(dt);
+        this.pos = pos;
+        if (this.movementInfo.mantleTime >= this.movementConfig.mantleDuration - KINDA_SMALL_NUMBER) {
+            this.velocity = new Vec2();
+            this.setMoveMode(MoveMode.walking);
+        }
+    }
+
+    /**
+     * land on a walkable floor, and continue walking with remain time
+     * @param {number} remainTime
+     * @param {HitResult} hit floor landed on
+     */
+    processLanded(remainTime, hit) {
+        if (this.movementInfo.currentModeMode == MoveMode.falling && this.isWalkable(hit)) {
+            this.emit(MoveEvent.landed, {
+                hit: hit,
+                velocity: this.velocity.clone(),
+            });
+        }
+        this.movementInfo.jumpCount = 0;
+        this.setMoveMode(MoveMode.walking);
+        this.startNewPhysics(remainTime);
+    }
+
+    /**
+     * compute how deep the capsule is in water, and remember the deepest water volume
+     * @return {number} immersion depth, 0 is out of water, 1 is fully submerged
+     */
+    updateImmersionDepth() {
+        const capsuleHeight = (this.capsule.halfHeight + this.capsule.radius) * 2;
+        const bottom = this.pos.add(new Vec2(0, this.capsule.halfHeight + this.capsule.radius));
+        let immersionDepth = 0;
+        /** @type {WaterVolume} */
+        let waterVolume = null;
+        for (let volume of this.scene.getWaterVolumes()) {
+            const depth = this.clamp(0, 1, (bottom.y - volume.getSurfaceY(bottom)) / capsuleHeight);
+            if (depth > immersionDepth) {
+                immersionDepth = depth;
+                waterVolume = volume;
+            }
+        }
+        this.movementInfo.immersionDepth = immersionDepth;
+        this.movementInfo.waterVolume = waterVolume;
+        return immersionDepth;
+    }
+
+    /**
+     * perform swimming movement
+     * @param {number} dt delta time
+     */
+    physSwimming(dt) {
+        const immersionDepth = this.updateImmersionDepth();
+        const threshold = this.movementConfig.swimImmersionThreshold;
+        if (immersionDepth < threshold) {
+            this.setMoveMode(MoveMode.falling);
+            this.startNewPhysics(dt);
+            return;
+        }
+
+        const swimAcceleration = this.acceleration.clone();
+        // fade out upward input near surface, let buoyancy keep head above water
+        if (swimAcceleration.y < 0) {
+            swimAcceleration.y *= this.clamp(0, 1, (immersionDepth - threshold) / (1 - threshold));
+        }
+        const gravity = this.movementInfo.gravity;
+        const buoyancy = gravity.mul(-this.movementConfig.buoyancy * immersionDepth);
+        this.velocity = this.velocity.add(swimAcceleration.add(gravity).add(buoyancy).mul(dt));
+        const fluidFriction = this.movementInfo.waterVolume.fluidFriction;
+        this.velocity = this.velocity.mul(Math.max(0, 1 - fluidFriction * dt));
+        if (this.velocity.length() > this.movementConfig.maxSwimSpeed) {
+            this.velocity = this.velocity.normalize().mul(this.movementConfig.maxSwimSpeed);
+        }
 
-    /**
-     * set new move mode
-     * @param {number} moveMode
-     */
-    setMoveMode(moveMode) {
-        if (moveMode != this.movementInfo.currentModeMode) {
-            this.movementInfo.currentModeMode = moveMode;
-            this.onMoveModeChange();
+        const delta = this.velocity.mul(dt);
+        const hit = this.move(delta);
+        if (hit.blockingHit) {
+            // slide along the surface
+            if (this.velocity.dot(hit.impactNormal) < 0) {
+                this.velocity = this.velocity.planeProject(hit.impactNormal);
+            }
+            const slideDelta = delta.mul(1 - hit.time).planeProject(hit.impactNormal);
+            if (!slideDelta.isZero()) {
+                this.move(slideDelta);
+            }
         }
     }
 
     /**
-     * called when movemode change
+     * @param {Vec2} point
+     * @return {LadderVolume} ladder volume contains the point, or null
      */
-    onMoveModeChange() {
-        if (this.movementInfo.currentModeMode == MoveMode.walking) {
-            this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
-            this.adjustFloorHeight();
+    findLadderVolume(point) {
+        for (let volume of this.scene.getLadderVolumes()) {
+            if (volume.containsPoint(point)) {
+                return volume;
+            }
         }
+        return null;
     }
 
     /**
-     * Test if hit location is walkable
-     * @param {HitResult} hit
-     * @return {boolean}
+     * start climbing when pressing up or down in a ladder volume
+     * @return {boolean} is climbing started
      */
-    isWalkable(hit) {
-        if (!hit.isValidBlock()) {
+    tryClimb() {
+        if (this.acceleration.y == 0 || (this.movementInfo.currentModeMode == MoveMode.falling && this.velocity.y < 0)) {
             return false;
         }
-        if (-hit.impactNormal.y < KINDA_SMALL_NUMBER) {
-            return false;
+        let testPoint = this.pos;
+        if (this.movementInfo.currentModeMode == MoveMode.walking && this.acceleration.y > 0) {
+            // climb down from floor only when ladder goes below feet
+            testPoint = testPoint.add(new Vec2(0, this.capsule.halfHeight + this.capsule.radius + MAX_FLOOR_DIST + 1));
         }
-        return -hit.impactNormal.y >= Math.cos(this.movementConfig.walkableFloorRadian);
-    }
-
-    /**
-     *
-     * @param {Vec2} capsuleCenter
-     * @param {Vec2} impactPoint
-     * @param {number} radius
-     * @return {boolean}
-     */
-    isWithinEdgeTolerance(capsuleCenter, impactPoint, radius) {
-        if (Math.abs(impactPoint.x - capsuleCenter.x) > Math.max(SWEEP_EDGE_REJECT_DISTANCE, radius - SWEEP_EDGE_REJECT_DISTANCE)) {
+        const ladder = this.findLadderVolume(testPoint);
+        if (!ladder) {
             return false;
         }
+        this.move(new Vec2(ladder.centerX - this.pos.x, 0));
+        this.velocity = new Vec2();
+        this.setMoveMode(MoveMode.climbing);
         return true;
     }
 
     /**
-     * perform falling movement
+     * perform climbing movement, input up and down moves along ladder without gravity
      * @param {number} dt delta time
      */
-    physFalling(dt) {
-        /**
-         * Test if hit location is a valid landing spot
-         * @param {Vec2} capsuleCenter
-         * @param {HitResult} hit
-         * @return {boolean}
-         */
-        const isValidLandingSpot = (capsuleCenter, hit) => {
-            if (!hit.blockingHit) {
-                return false;
-            }
-            if (!hit.startPenetrating) {
-                if (!this.isWalkable(hit)) {
-                    return false;
-                }
-                if (hit.impactPoint.y <= capsuleCenter.y + this.capsule.radius) {
-                    return false;
-                }
-                if (!this.isWithinEdgeTolerance(hit.location, hit.impactPoint, this.capsule.radius)) {
-                    return false;
-                }
-            } else {
-                if (-hit.normal.y < KINDA_SMALL_NUMBER) {
-                    return false;
-                }
-            }
-            // TODO: FindFlooor
-            const floorResult = this.findFloor(capsuleCenter, hit);
-            if (floorResult.isWalkableFloor()) {
-                return true;
-            }
-            return false;
+    physClimbing(dt) {
+        if (dt < MIN_TICK_TIME) {
+            return;
         }
-
-        /**
-         * compute slide vector
-         * @param {Vec2} delta
-         * @param {number} time
-         * @param {Vec2} normal
-         * @return {Vec2} slide vector
-         */
-        const computeSlideVector = (delta, time, normal) => {
-            let result = delta.planeProject(normal).mul(time);
-            if (result.y < 0) {
-                const slideResult = result.clone();
-                const yLimit = delta.y * time;
-                if (result.y - yLimit < -KINDA_SMALL_NUMBER) {
-                    if (yLimit < 0) {
-                        result = result.mul(yLimit / result.y);
-                    } else {
-                        result = new Vec2();
-                    }
-
-                    const remainderX = new Vec2(slideResult.sub(result).x, 0);
-                    const normalX = new Vec2(Math.sign(normal.x), 0);
-                    const adjust = remainderX.planeProject(normalX);
-                    result = result.add(adjust);
-                }
-            }
-            return result;
+        const ladder = this.findLadderVolume(this.pos);
+        if (!ladder) {
+            this.setMoveMode(MoveMode.falling);
+            this.startNewPhysics(dt);
+            return;
         }
-
-        const fallAcceleration = this.acceleration.clone();
-        fallAcceleration.y = 0;
-        fallAcceleration.x *= this.movementConfig.airControl;
-        const gravity = new Vec2(0, 980);
-        if (this.movementInfo.pressedJump) {
-            gravity.y *= this.movementConfig.holdJumpGravityScale;
+        if (this.acceleration.y == 0 && this.acceleration.x != 0) {
+            // step off ladder sideways
+            this.velocity = new Vec2(Math.sign(this.acceleration.x) * this.movementConfig.climbSpeed, 0);
+            this.setMoveMode(MoveMode.falling);
+            this.startNewPhysics(dt);
+            return;
         }
-        const oldVelocity = this.velocity.clone();
-        this.velocity = this.velocity.add(gravity.add(fallAcceleration).mul(dt));
-        let adjusted = oldVelocity.add(this.velocity).mul(0.5 * dt);
-        let hit = this.move(adjusted);
-        if (hit.blockingHit) {
-            let remainTime = dt * (1 - hit.time);
-            if (isValidLandingSpot(this.capsule.center, hit)) {
+
+        const oldLocation = this.pos;
+        const delta = new Vec2(0, Math.sign(this.acceleration.y) * this.movementConfig.climbSpeed * dt);
+        // stay at top of ladder
+        delta.y = Math.max(delta.y, ladder.topY - oldLocation.y);
+        if (delta.y != 0) {
+            const hit = this.move(delta);
+            if (delta.y > 0 && hit.isValidBlock() && this.isWalkable(hit)) {
+                // reach floor at bottom of ladder
                 this.setMoveMode(MoveMode.walking);
-                this.startNewPhysics(remainTime);
-                return;
-            } else {
-                adjusted = this.velocity.mul(dt);
-                // TODO: additional valid landing check
-                const oldHitNormal = hit.normal.clone();
-                const oldHitImpackNormal = hit.impactNormal.clone();
-                let slideDelta = computeSlideVector(adjusted, 1 - hit.time, oldHitImpackNormal);
-                this.velocity = slideDelta.div(remainTime);
-                if (remainTime > 0.0001 && slideDelta.dot(adjusted) > 0) {
-                    hit = this.move(slideDelta);
-                    if (hit.blockingHit) {
-                        remainTime = remainTime * (1 - hit.time);
-                        if (isValidLandingSpot(this.capsule.center, hit)) {
-                            this.setMoveMode(MoveMode.walking);
-                            this.startNewPhysics(remainTime);
-                            return;
-                        }
-                        // TODO: TwoWallAdjust
-                    }
-                }
             }
         }
+        this.velocity = this.pos.sub(oldLocation).div(dt);
     }
 
     /**
@@ -663,31 +2129,124 @@ export default class Player {
             if (floorResult.floorDist < 0) {
                 floorResult.walkableFloor = false;
             }
+            // see if we should try to perch at this location, like UE FindFloor
+            if (this.shouldComputePerchResult(floorResult.hitResult)) {
+                let maxPerchFloorDist = this.getFloorTraceDist();
+                if (this.movementInfo.currentModeMode == MoveMode.walking) {
+                    maxPerchFloorDist += Math.max(0, this.movementConfig.perchAdditionalHeight);
+                }
+                const perchFloorResult = this.computePerchResult(this.getValidPerchRadius(), floorResult.hitResult, maxPerchFloorDist);
+                if (perchFloorResult.isWalkableFloor()) {
+                    // floor height adjustment should not push capsule beyond perch distance
+                    const avgFloorDist = (MIN_FLOOR_DIST + MAX_FLOOR_DIST) * 0.5;
+                    const moveUpDist = avgFloorDist - floorResult.floorDist;
+                    if (moveUpDist + perchFloorResult.floorDist >= maxPerchFloorDist) {
+                        floorResult.floorDist = avgFloorDist;
+                    }
+                    // stand on the edge, even if it is unwalkable for the whole capsule
+                    if (!floorResult.walkableFloor) {
+                        floorResult.setFromLineTrace(perchFloorResult.hitResult, floorResult.floorDist,
+                            Math.max(floorResult.floorDist, MIN_FLOOR_DIST), true);
+                    }
+                } else {
+                    // can not perch here, start falling
+                    floorResult.walkableFloor = false;
+                }
+            }
+        }
+        if (floorResult && !floorResult.isWalkableFloor()) {
+            // two slopes of a ditch hold capsule like a floor
+            const testCapsule = new Capsule(capsuleCenter, this.capsule.halfHeight, this.capsule.radius);
+            const ditchHit = testCapsule.sweepScene(this.movementInfo.gravityDir, MAX_FLOOR_DIST, this.scene);
+            if (this.isInDitch(capsuleCenter, ditchHit)) {
+                // rest where the slopes hold capsule, floor height adjustment would lift it off the other slope
+                floorResult.setFromSweep(ditchHit, (MIN_FLOOR_DIST + MAX_FLOOR_DIST) * 0.5, true);
+                floorResult.inDitch = true;
+            }
         }
         return floorResult;
     }
 
+    /**
+     * @return {number} distance to find floor under capsule, walking capsule finds floors within max step down height
+     */
+    getFloorTraceDist() {
+        if (this.movementInfo.currentModeMode == MoveMode.walking) {
+            return Math.max(MAX_FLOOR_DIST, this.movementConfig.maxStepDownHeight + MAX_FLOOR_DIST + KINDA_SMALL_NUMBER);
+        }
+        return Math.max(MAX_FLOOR_DIST, this.movementConfig.maxStepHeight + MAX_FLOOR_DIST);
+    }
+
+    /**
+     * @return {number} radius of capsule part which should stand on a floor when perching
+     */
+    getValidPerchRadius() {
+        const perchRadiusThreshold = Math.max(0, this.movementConfig.perchRadiusThreshold);
+        return this.clamp(0.11, this.capsule.radius, this.capsule.radius - perchRadiusThreshold);
+    }
+
+    /**
+     * @param {HitResult} hit floor hit
+     * @return {boolean} is floor touched outside perch radius, so perching needs to be validated
+     */
+    shouldComputePerchResult(hit) {
+        if (!hit.isValidBlock()) {
+            return false;
+        }
+        // perch until edge tolerance
+        if (Math.max(0, this.movementConfig.perchRadiusThreshold) <= SWEEP_EDGE_REJECT_DISTANCE) {
+            return false;
+        }
+        return Math.abs(hit.impactPoint.x - hit.location.x) > this.getValidPerchRadius();
+    }
+
+    /**
+     * find floor under a thinner capsule at location of the hit, like UE ComputePerchResult
+     * @param {number} testRadius
+     * @param {HitResult} hit floor hit
+     * @param {number} maxFloorDist
+     * @return {FloorResult} perch floor, not walkable if it is too far below
+     */
+    computePerchResult(testRadius, hit, maxFloorDist) {
+        if (maxFloorDist <= 0) {
+            return new FloorResult();
+        }
+        const gravityDir = this.movementInfo.gravityDir;
+        const capsuleBottom = hit.location.dot(gravityDir) + this.capsule.halfHeight + this.capsule.radius;
+        const hitAboveBase = Math.max(0, capsuleBottom - hit.impactPoint.dot(gravityDir));
+        const perchLineDist = Math.max(0, maxFloorDist - hitAboveBase);
+        // sweep further, a thinner capsule may miss floor the capsule touches
+        const perchSweepDist = Math.max(0, maxFloorDist) + this.capsule.radius;
+        const perchFloorResult = this.computeFloorDist(hit.location, null, perchLineDist, perchSweepDist, testRadius);
+        if (perchFloorResult.isWalkableFloor() && hitAboveBase + perchFloorResult.floorDist > maxFloorDist) {
+            perchFloorResult.walkableFloor = false;
+        }
+        return perchFloorResult;
+    }
+
     /**
      * @param {Vec2} capsuleCenter
      * @param {HitResult} downSweepResult
+     * @param {number} [lineTraceDist]
+     * @param {number} [sweepTraceDist]
+     * @param {number} [sweepRadius] radius of capsule sweeping down, its bottom is same as player capsule
      * @return {FloorResult}
      */
-    computeFloorDist(capsuleCenter, downSweepResult) {
-        const heightCheckAdjust = this.movementInfo.currentModeMode == MoveMode.walking ? -MAX_FLOOR_DIST - KINDA_SMALL_NUMBER : MAX_FLOOR_DIST;
-        const sweepRadius = this.capsule.radius;
-        const capsuleRadius = sweepRadius;
-        const sweepTraceDist = Math.max(MAX_FLOOR_DIST, this.movementConfig.maxStepHeight + heightCheckAdjust);
-        const lineTraceDist = sweepTraceDist;
+    computeFloorDist(capsuleCenter, downSweepResult, lineTraceDist = this.getFloorTraceDist(), sweepTraceDist = lineTraceDist,
+        sweepRadius = this.capsule.radius) {
+        const capsuleRadius = this.capsule.radius;
+        const totalHalfHeight = this.capsule.halfHeight + capsuleRadius;
         const floorResult = new FloorResult();
+        const gravityDir = this.movementInfo.gravityDir;
 
         let skipSweep = false;
         // compute floor dist
         if (downSweepResult && downSweepResult.isValidBlock()) {
-            if (downSweepResult.start.y < downSweepResult.end.y && downSweepResult.distance > 0) {
+            if (downSweepResult.end.sub(downSweepResult.start).dot(gravityDir) > 0 && downSweepResult.distance > 0) {
                 if (this.isWithinEdgeTolerance(downSweepResult.location, downSweepResult.impactPoint, this.capsule.radius)) {
                     skipSweep = true;
                     const isWalkable = this.isWalkable(downSweepResult);
-                    const floorDist = downSweepResult.location.y - capsuleCenter.y;
+                    const floorDist = downSweepResult.location.sub(capsuleCenter).dot(gravityDir);
                     floorResult.setFromSweep(downSweepResult, floorDist, isWalkable);
                     if (isWalkable) {
                         return floorResult;
@@ -701,16 +2260,16 @@ export default class Player {
             const shrinkScaleOverlap = 0.1;
             let shrinkHeight = this.capsule.halfHeight * (1 - shrinkScale);
             let traceDist = sweepTraceDist + shrinkHeight;
-            const sweepCapsule = new Capsule(capsuleCenter, this.capsule.halfHeight - shrinkHeight, capsuleRadius);
-            let hit = sweepCapsule.sweepScene(new Vec2(0, 1), traceDist, this.scene);
+            const sweepCapsule = new Capsule(capsuleCenter, totalHalfHeight - sweepRadius - shrinkHeight, sweepRadius);
+            let hit = sweepCapsule.sweepScene(gravityDir, traceDist, this.scene);
             if (hit.blockingHit) {
-                if (hit.startPenetrating || !this.isWithinEdgeTolerance(capsuleCenter, hit.impactPoint, capsuleRadius)) {
-                    sweepCapsule.radius = Math.max(0, capsuleRadius - SWEEP_EDGE_REJECT_DISTANCE - KINDA_SMALL_NUMBER);
+                if (hit.startPenetrating || !this.isWithinEdgeTolerance(capsuleCenter, hit.impactPoint, sweepRadius)) {
+                    sweepCapsule.radius = Math.max(0, sweepRadius - SWEEP_EDGE_REJECT_DISTANCE - KINDA_SMALL_NUMBER);
                     if (sweepCapsule.radius > KINDA_SMALL_NUMBER) {
                         shrinkHeight = this.capsule.halfHeight * (1 - shrinkScaleOverlap);
                         traceDist = sweepTraceDist + shrinkHeight;
-                        sweepCapsule.halfHeight = Math.max(0, this.capsule.halfHeight - shrinkHeight);
-                        hit = sweepCapsule.sweepScene(new Vec2(0, 1), traceDist, this.scene);
+                        sweepCapsule.halfHeight = Math.max(0, totalHalfHeight - sweepRadius - shrinkHeight);
+                        hit = sweepCapsule.sweepScene(gravityDir, traceDist, this.scene);
                     }
                 }
 
@@ -730,10 +2289,10 @@ export default class Player {
         }
 
         if (lineTraceDist > 0) {
-            const shrinkHeight = this.capsule.halfHeight + capsuleRadius;
+            const shrinkHeight = totalHalfHeight;
             const lineStart = capsuleCenter.clone();
             const traceDist = lineTraceDist + shrinkHeight;
-            const hit = lineSweep(lineStart, new Vec2(0, 1), traceDist, this.scene);
+            const hit = lineSweep(lineStart, gravityDir, traceDist, this.scene);
             if (hit.blockingHit && hit.time > 0) {
                 const maxPenetrationAdjust = Math.max(MAX_FLOOR_DIST, capsuleRadius);
                 const lineResultDist = Math.max(-maxPenetrationAdjust, hit.time * traceDist - shrinkHeight);
@@ -766,8 +2325,10 @@ export default class Player {
         const computeGroundMoveDelta = (delta, hit, isLineTrace) => {
             const floorNormal = hit.impactNormal;
             const contactNormal = hit.normal;
-            if (-floorNormal.y < 1 - KINDA_SMALL_NUMBER && -floorNormal.y > KINDA_SMALL_NUMBER &&
-                -contactNormal.y > KINDA_SMALL_NUMBER && !isLineTrace && this.isWalkable(hit)) {
+            const gravityDir = this.movementInfo.gravityDir;
+            const floorUp = -floorNormal.dot(gravityDir);
+            if (floorUp < 1 - KINDA_SMALL_NUMBER && floorUp > KINDA_SMALL_NUMBER &&
+                -contactNormal.dot(gravityDir) > KINDA_SMALL_NUMBER && !isLineTrace && this.isWalkable(hit)) {
                 const floorDotDelta = floorNormal.dot(delta);
                 const rampDelta = new Vec2(delta.x, -floorDotDelta / floorNormal.y);
                 if (this.movementConfig.horizontalMove) {
@@ -783,15 +2344,27 @@ export default class Player {
             return null;
         }
         const currentFloor = this.movementInfo.currentFloor;
+        if (currentFloor.inDitch) {
+            // slopes on both sides block walking, stay put instead of creeping up to them
+            return null;
+        }
         const delta = new Vec2(velocity.x, 0).mul(dt);
         let rampVector = computeGroundMoveDelta(delta, currentFloor.hitResult, currentFloor.lineTrace);
         let hit = this.move(rampVector);
-        if (hit.startPenetrating) {
-            console.warn("fuck! i dont know how to deal with it!");
-        } else if (hit.isValidBlock()) {
+        if (hit.startPenetrating && this.resolveOverlap()) {
+            hit = this.move(rampVector);
+        }
+        if (hit.isValidBlock() && hit.polygon instanceof DynamicProp && !this.isWalkable(hit)) {
+            // push the prop and follow it, instead of stepping up on it
+            const remainVector = rampVector.mul(1 - hit.time);
+            this.pushProp(hit.polygon, new Vec2(remainVector.x, 0), dt);
+            this.move(remainVector);
+            return null;
+        }
+        if (hit.isValidBlock()) {
             let percentTimeApplied = hit.time;
             // another ramp
-            if (hit.time > 0 && -hit.normal.y > KINDA_SMALL_NUMBER && this.isWalkable(hit)) {
+            if (hit.time > 0 && -hit.normal.dot(this.movementInfo.gravityDir) > KINDA_SMALL_NUMBER && this.isWalkable(hit)) {
                 const initPercentRemain = 1 - percentTimeApplied;
                 rampVector = computeGroundMoveDelta(delta.mul(initPercentRemain), hit, false);
                 hit = this.move(rampVector);
@@ -804,13 +2377,75 @@ export default class Player {
                 if (floorResult != null) {
                     this.movementInfo.justTeleported = this.movementInfo.justTeleported
                         || !this.movementConfig.horizontalMove;
+                    // climbing a stair may take more than one step up
+                    this.emitOnContact(MoveEvent.steppedUp, {
+                        hit: hit,
+                        velocity: velocity.clone(),
+                    });
                     return floorResult;
                 }
+                this.notifyHitWall(hit);
             }
+        } else {
+            this.keepWallContact(rampVector);
         }
         return null;
     }
 
+    /**
+     * a move may stop short of the wall it was blocked by last move, keep the contact so it is not hit again
+     * @param {Vec2} delta
+     */
+    keepWallContact(delta) {
+        if (!this.movementInfo.lastContactEvents.has(MoveEvent.hitWall) || delta.isZero()) {
+            return;
+        }
+        const hit = this.capsule.sweepScene(delta.normalize(), MOVE_AVOID_DIST * 2, this.scene);
+        if (hit.isValidBlock() && Math.abs(hit.impactNormal.y) <= Math.sin(this.movementConfig.wallSlideRadian)) {
+            this.movementInfo.contactEvents.add(MoveEvent.hitWall);
+        }
+    }
+
+    /**
+     * emit hit wall event if blocked by a near vertical wall
+     * @param {HitResult} hit
+     */
+    notifyHitWall(hit) {
+        if (hit.isValidBlock() && Math.abs(hit.impactNormal.y) <= Math.sin(this.movementConfig.wallSlideRadian)) {
+            this.emitOnContact(MoveEvent.hitWall, {
+                hit: hit,
+                velocity: this.velocity.clone(),
+                polygon: hit.polygon,
+            });
+        }
+    }
+
+    /**
+     * push a prop blocking walking, props heavier than push force are pushed slower than max speed
+     * @param {DynamicProp} prop
+     * @param {Vec2} delta
+     * @param {number} dt
+     */
+    pushProp(prop, delta, dt) {
+        const pushRatio = Math.min(1, this.movementConfig.pushForce / prop.mass);
+        const maxPushDist = this.getMaxSpeed() * pushRatio * dt;
+        if (delta.length() > maxPushDist) {
+            delta = delta.normalize().mul(maxPushDist);
+        }
+        prop.move(delta, this.scene);
+        if (!this.movementInfo.pushedProps.includes(prop.id)) {
+            this.movementInfo.pushedProps.push(prop.id);
+        }
+    }
+
+    /**
+     * @param {number} propId
+     * @return {boolean} is prop pushed by moves not acknowledged by server
+     */
+    isPredictingProp(propId) {
+        return this.historyMoveMsgs.some(msg => msg.pushedProps.includes(propId));
+    }
+
     /**
      * try step up a stairs
      * @param {Vec2} delta
@@ -821,16 +2456,18 @@ export default class Player {
         const capsuleRadius = this.capsule.radius;
         const capsuleHalfHeight = this.capsule.halfHeight;
         const oldLocation = this.pos;
-        const initImpactY = hit.impactPoint.y;
+        // heights below are measured along gravity direction
+        const gravityDir = this.movementInfo.gravityDir;
+        const oldLocationY = oldLocation.dot(gravityDir);
+        const initImpactY = hit.impactPoint.dot(gravityDir);
         // skip if top hemisphere hit
-        if (initImpactY < oldLocation.y - capsuleHalfHeight) {
+        if (initImpactY < oldLocationY - capsuleHalfHeight) {
             return null;
         }
-        const gravityDir = new Vec2(0, 1);
         let stepTravelUpHeight = this.movementConfig.maxStepHeight;
         let stepTravelDownHeight = stepTravelUpHeight;
         const stepSideY = -1 * hit.impactNormal.dot(gravityDir);
-        let capsuleInitFloorBaseY = oldLocation.y + capsuleHalfHeight + capsuleRadius;
+        let capsuleInitFloorBaseY = oldLocationY + capsuleHalfHeight + capsuleRadius;
         let capsuleFloorPointY = capsuleInitFloorBaseY;
         const currentFloor = this.movementInfo.currentFloor;
         if (currentFloor.isWalkableFloor()) {
@@ -840,7 +2477,7 @@ export default class Player {
             stepTravelDownHeight = this.movementConfig.maxStepHeight + MAX_FLOOR_DIST * 2;
             const hitVerticalFace = !this.isWithinEdgeTolerance(hit.location, hit.impactPoint, capsuleRadius);
             if (!currentFloor.lineTrace && !hitVerticalFace) {
-                capsuleFloorPointY = currentFloor.hitResult.impactPoint.y;
+                capsuleFloorPointY = currentFloor.hitResult.impactPoint.dot(gravityDir);
             } else {
                 capsuleFloorPointY += currentFloor.floorDist;
             }
@@ -857,13 +2494,19 @@ export default class Player {
             return null;
         }
         // try step forward
-        const sweepForwardHit = this.move(delta.add(new Vec2(MOVE_AVOID_DIST * 4 * Math.sign(delta.x), 0)));
+        const forwardDelta = delta.add(new Vec2(MOVE_AVOID_DIST * 4 * Math.sign(delta.x), 0));
+        const sweepForwardHit = this.move(forwardDelta);
         if (sweepForwardHit.blockingHit) {
-            if (sweepForwardHit.startPenetrating || sweepForwardHit.time == 0 || Math.abs(this.pos.x - savedPos.x) < Math.abs(delta.x)) {
+            if (sweepForwardHit.startPenetrating) {
+                this.pos = savedPos;
+                return null;
+            }
+            // slide over lip of stairs, give up if neither forward nor slide gets anywhere
+            const forwardSlideAmount = this.slideAlongSurface(forwardDelta, 1 - sweepForwardHit.time, sweepForwardHit.normal, sweepForwardHit);
+            if (sweepForwardHit.time == 0 && forwardSlideAmount == 0) {
                 this.pos = savedPos;
                 return null;
             }
-            // TODO: slide along surface
         }
         // try step down
         const sweepDownHit = this.move(gravityDir.mul(stepTravelDownHeight));
@@ -872,7 +2515,7 @@ export default class Player {
             return null;
         }
         if (sweepDownHit.isValidBlock()) {
-            const deltaY = sweepDownHit.impactPoint.y - capsuleFloorPointY;
+            const deltaY = sweepDownHit.impactPoint.dot(gravityDir) - capsuleFloorPointY;
             if (-deltaY > this.movementConfig.maxStepHeight) {
                 this.pos = savedPos;
                 return null;
@@ -882,7 +2525,7 @@ export default class Player {
                 //     this.pos = savedPos;
                 //     return null;
                 // }
-                if (sweepDownHit.location.y > oldLocation.y) {
+                if (sweepDownHit.location.dot(gravityDir) > oldLocationY) {
                     this.pos = savedPos;
                     return null;
                 }
@@ -892,7 +2535,7 @@ export default class Player {
                 return null;
             }
             const floorResult = this.findFloor(this.pos, sweepDownHit);
-            if (sweepDownHit.location.y < oldLocation.y) {
+            if (sweepDownHit.location.dot(gravityDir) < oldLocationY) {
                 if (!floorResult.blockingHit && stepSideY < MAX_STEP_SIDE_Z) {
                     this.pos = savedPos;
                     return null;
@@ -905,6 +2548,16 @@ export default class Player {
         return null;
     }
 
+    /**
+     * @return {boolean} can walk off ledges and start falling
+     */
+    canWalkOffLedges() {
+        if (!this.movementConfig.canWalkOffLedgesWhenCrouching && this.movementInfo.isCrouched) {
+            return false;
+        }
+        return this.movementConfig.canWalkOffLedges;
+    }
+
     /**
      * perform walking movement
      * @param {number} dt delta time
@@ -912,22 +2565,54 @@ export default class Player {
     physWalking(dt) {
 
         /**
+         * compute horizontal velocity with friction and braking, like UE CalcVelocity
          * @param {number} dt
          * @return {Vec2}
          */
         const calcVelocity = (dt) => {
-            if (this.acceleration.x == 0) {
-                return new Vec2(0, this.velocity.y);
+            const floorMaterial = this.getHitMaterial(this.movementInfo.currentFloor.hitResult);
+            const friction = Math.max(0, this.movementConfig.groundFriction * floorMaterial.friction);
+            const brakingDeceleration = Math.max(0, this.movementConfig.brakingDeceleration * floorMaterial.braking);
+            const maxSpeed = this.getMaxSpeed();
+            const zeroAcceleration = this.acceleration.x == 0;
+            const velocityOverMax = Math.abs(this.velocity.x) > maxSpeed;
+            let velocityX = this.velocity.x;
+            if (zeroAcceleration || velocityOverMax) {
+                const oldVelocityX = velocityX;
+                velocityX = this.applyVelocityBraking(velocityX, dt, friction, brakingDeceleration);
+                // do not brake below max speed when still accelerating forward
+                if (velocityOverMax && Math.abs(velocityX) < maxSpeed && this.acceleration.x * oldVelocityX > 0) {
+                    velocityX = Math.sign(oldVelocityX) * maxSpeed;
+                }
+            } else {
+                // friction affects how fast to turn around
+                const accelerationDir = Math.sign(this.acceleration.x);
+                velocityX -= (velocityX - accelerationDir * Math.abs(velocityX)) * Math.min(dt * friction, 1);
             }
-            const result = new Vec2(dt * this.acceleration.x + this.velocity.x, this.velocity.y);
-            if (Math.abs(result.x) > this.maxSpeed) {
-                result.x = Math.sign(result.x) * this.maxSpeed;
+            if (!zeroAcceleration) {
+                const newMaxSpeed = Math.max(Math.abs(velocityX), maxSpeed);
+                let accelerationX = this.acceleration.x;
+                if (this.movementConfig.accelerationCurve) {
+                    accelerationX *= this.evaluateCurve(this.movementConfig.accelerationCurve, Math.abs(velocityX) / maxSpeed);
+                }
+                velocityX = this.clamp(-newMaxSpeed, newMaxSpeed, velocityX + accelerationX * dt);
             }
-            return result;
+            return new Vec2(velocityX, this.velocity.y);
         };
 
+        if (this.updateImmersionDepth() >= this.movementConfig.swimImmersionThreshold) {
+            this.setMoveMode(MoveMode.swimming);
+            this.startNewPhysics(dt);
+            return;
+        }
+        if (this.tryClimb()) {
+            this.startNewPhysics(dt);
+            return;
+        }
+
         this.movementInfo.justTeleported = false;
         const oldLocation = this.pos.clone();
+        const oldFloor = this.movementInfo.currentFloor;
         this.maintainHorizontalVelocity();
         const oldVelocity = this.velocity.clone();
         this.acceleration.y = 0;
@@ -935,6 +2620,10 @@ export default class Player {
         const moveVelocity = this.velocity.clone();
         const delta = moveVelocity.mul(dt);
         if (delta.isZero()) {
+            // floor may move away or tilt when standing on a kinematic polygon
+            if (!this.movementInfo.currentFloor.isWalkableFloor()) {
+                this.setMoveMode(MoveMode.falling);
+            }
             return;
         }
         let floorResult = this.moveAlongFloor(moveVelocity, dt);
@@ -950,12 +2639,24 @@ export default class Player {
             this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
         }
 
+        if (this.movementInfo.currentFloor.hitResult.startPenetrating && this.resolveOverlap()) {
+            this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
+        }
         if (this.movementInfo.currentFloor.isWalkableFloor()) {
             this.adjustFloorHeight();
         } else if (this.movementInfo.currentFloor.hitResult.startPenetrating) {
-            console.warn("shit! i dont know how to deal with penetrating");
+            // still stuck in geometry, try again next update
+        } else if (!this.canWalkOffLedges() && oldFloor.isWalkableFloor()) {
+            // revert this move, stay on the ledge
+            this.pos = oldLocation;
+            this.movementInfo.currentFloor = oldFloor;
         } else {
+            this.movementInfo.coyoteTimer = this.movementConfig.coyoteTime;
             this.setMoveMode(MoveMode.falling);
+            this.emit(MoveEvent.walkedOffLedge, {
+                hit: oldFloor.hitResult,
+                velocity: this.velocity.clone(),
+            });
         }
         if (!this.movementInfo.justTeleported) {
             this.velocity = this.pos.sub(oldLocation).div(dt);
@@ -964,6 +2665,45 @@ export default class Player {
             this.pos = this.pos.add(this.velocity.normalize().mul(0.15));
         }
         this.maintainHorizontalVelocity();
+        if (this.movementInfo.currentModeMode == MoveMode.falling) {
+            this.impartBaseVelocity();
+        }
+    }
+
+    /**
+     * slow down velocity by friction and braking deceleration, like UE ApplyVelocityBraking
+     * @param {number} velocityX
+     * @param {number} dt
+     * @param {number} friction
+     * @param {number} brakingDeceleration
+     * @return {number} braked velocity
+     */
+    applyVelocityBraking(velocityX, dt, friction, brakingDeceleration) {
+        if (velocityX == 0 || dt < MIN_TICK_TIME) {
+            return velocityX;
+        }
+        const zeroFriction = friction == 0;
+        const zeroBraking = brakingDeceleration == 0;
+        if (zeroFriction && zeroBraking) {
+            return velocityX;
+        }
+        const oldVelocityX = velocityX;
+        const reverseAcceleration = zeroBraking ? 0 : -Math.sign(velocityX) * brakingDeceleration;
+        // sub step braking for stable result with large friction
+        let remainTime = dt;
+        while (remainTime >= MIN_TICK_TIME) {
+            const stepTime = remainTime > BRAKING_SUB_STEP_TIME && !zeroFriction ?
+                Math.min(BRAKING_SUB_STEP_TIME, remainTime * 0.5) : remainTime;
+            remainTime -= stepTime;
+            velocityX += (-friction * velocityX + reverseAcceleration) * stepTime;
+            if (velocityX * oldVelocityX <= 0) {
+                return 0;
+            }
+        }
+        if (Math.abs(velocityX) <= KINDA_SMALL_NUMBER || (!zeroBraking && Math.abs(velocityX) <= BRAKE_TO_STOP_VELOCITY)) {
+            return 0;
+        }
+        return velocityX;
     }
 
     /**
@@ -986,18 +2726,19 @@ export default class Player {
             oldFloorDist = this.movementInfo.currentFloor.lineDist;
         }
         if (oldFloorDist < MIN_FLOOR_DIST || oldFloorDist > MAX_FLOOR_DIST) {
-            const initY = this.pos.y;
+            const gravityDir = this.movementInfo.gravityDir;
+            const initY = this.pos.dot(gravityDir);
             const avgFloorDist = (MIN_FLOOR_DIST + MAX_FLOOR_DIST) * 0.5;
             const moveDist = -(avgFloorDist - oldFloorDist);
-            const hit = this.move(new Vec2(0, moveDist));
+            const hit = this.move(gravityDir.mul(moveDist));
             if (!hit.isValidBlock()) {
                 this.movementInfo.currentFloor.floorDist += moveDist;
             } else if (moveDist < 0) {
-                const currentY = this.pos.y;
+                const currentY = this.pos.dot(gravityDir);
                 this.movementInfo.currentFloor.floorDist += currentY - initY;
             } else {
-                const currentY = this.pos.y;
-                this.movementInfo.currentFloor.floorDist = currentY - hit.location.y;
+                const currentY = this.pos.dot(gravityDir);
+                this.movementInfo.currentFloor.floorDist = currentY - hit.location.dot(gravityDir);
                 if (this.isWalkable(hit)) {
                     this.movementInfo.currentFloor.setFromSweep(hit, this.movementInfo.currentFloor.floorDist, true);
                 }
@@ -1009,6 +2750,7 @@ export default class Player {
 
     clearNetState() {
         this.lastReceiveSequence = 0;
+        this.serverMoveTime = -Infinity;
         this.historyMoveMsgs = [];
     }
 
@@ -1021,11 +2763,40 @@ export default class Player {
         return newSequence;
     }
 
+    /**
+     * @return {MoveState}
+     */
+    saveMoveState() {
+        return {
+            pressedJump: this.movementInfo.pressedJump,
+            jumpHoldTime: this.movementInfo.jumpHoldTime,
+            wantsToCrouch: this.movementInfo.wantsToCrouch,
+            pressedDash: this.movementInfo.pressedDash,
+            pendingLaunchVelocity: this.movementInfo.pendingLaunchVelocity,
+            pendingImpulse: this.movementInfo.pendingImpulse,
+            pendingTeleport: this.movementInfo.pendingTeleport,
+        };
+    }
+
+    /**
+     * @param {MoveState} moveState
+     */
+    restoreMoveState(moveState) {
+        this.movementInfo.pressedJump = moveState.pressedJump;
+        this.movementInfo.jumpHoldTime = moveState.jumpHoldTime;
+        this.movementInfo.wantsToCrouch = moveState.wantsToCrouch;
+        this.movementInfo.pressedDash = moveState.pressedDash;
+        this.movementInfo.pendingLaunchVelocity = moveState.pendingLaunchVelocity;
+        this.movementInfo.pendingImpulse = moveState.pendingImpulse;
+        this.movementInfo.pendingTeleport = moveState.pendingTeleport;
+    }
+
     /**
      *
      * @param {number} dt
+     * @param {MoveState} [moveState] movement state before this move
      */
-    updateMoveMsg(dt = 0) {
+    updateMoveMsg(dt = 0, moveState = this.saveMoveState()) {
         let newSequence;
         if (this.role == Role.authority) {
             newSequence = this.lastReceiveSequence;
@@ -1040,8 +2811,19 @@ export default class Player {
             pos: this.pos.clone(),
             velocity: this.velocity.clone(),
             moveMode: this.movementInfo.currentModeMode,
+            modeState: this.saveModeState(),
             acceleration: this.acceleration.clone(),
-            pressedJump: this.movementInfo.pressedJump,
+            isCrouched: this.movementInfo.isCrouched,
+            sceneTime: this.movementInfo.sceneTime,
+            gravityDir: this.movementInfo.gravityDir.clone(),
+            pushedProps: this.movementInfo.pushedProps,
+            teleportCount: this.movementInfo.teleportCount,
+            jumpCount: this.movementInfo.jumpCount,
+            coyoteTimer: this.movementInfo.coyoteTimer,
+            jumpBufferTimer: this.movementInfo.jumpBufferTimer,
+            dashCooldownTimer: this.movementInfo.dashCooldownTimer,
+            contactEvents: Array.from(this.movementInfo.contactEvents),
+            moveState: moveState,
         }
         if (this.role == Role.autonomous) {
             this.historyMoveMsgs.push(this.pendingMoveMsg);
@@ -1074,27 +2856,115 @@ export default class Player {
         if (idx != -1) {
             const lastMsg = this.historyMoveMsgs[idx];
             this.historyMoveMsgs.splice(0, idx + 1);
-            if (lastMsg.pos.sub(moveMsg.pos).length() > 20) {
+            // server teleported player, take its state and replay later moves, it is not a misprediction
+            const teleported = lastMsg.teleportCount != moveMsg.teleportCount;
+            if (teleported || lastMsg.pos.sub(moveMsg.pos).length() > 20 || lastMsg.isCrouched != moveMsg.isCrouched
+                || this.isModeMispredicted(lastMsg, moveMsg) || this.isCounterMispredicted(lastMsg, moveMsg)) {
+                this.setCrouchShape(moveMsg.isCrouched);
+                this.movementInfo.gravityDir = moveMsg.gravityDir.clone();
                 this.pos = moveMsg.pos;
                 this.velocity = moveMsg.velocity;
-                this.movementInfo.currentModeMode = moveMsg.moveMode;
+                this.movementInfo.teleportCount = moveMsg.teleportCount;
+                this.movementInfo.jumpCount = moveMsg.jumpCount;
+                this.movementInfo.coyoteTimer = moveMsg.coyoteTimer;
+                this.movementInfo.jumpBufferTimer = moveMsg.jumpBufferTimer;
+                this.movementInfo.dashCooldownTimer = moveMsg.dashCooldownTimer;
+                // contacts lasting from the corrected move are not emitted again when replaying
+                this.movementInfo.contactEvents = new Set(moveMsg.contactEvents);
+                this.restoreMoveMode(moveMsg);
                 this.needReconciliation = true;
             }
         }
     }
 
+    /**
+     * a move mode may not move at all, so mode and its saved state are compared besides position
+     * @param {MoveMsg} predictedMsg move performed by client
+     * @param {MoveMsg} serverMsg same move performed by server
+     * @return {boolean} is move mode or its state predicted wrong
+     */
+    isModeMispredicted(predictedMsg, serverMsg) {
+        return predictedMsg.moveMode != serverMsg.moveMode
+            || JSON.stringify(predictedMsg.modeState) != JSON.stringify(serverMsg.modeState);
+    }
+
+    /**
+     * server keeps its own counters and timers, client only sends inputs, and is corrected when they differ
+     * @param {MoveMsg} predictedMsg move performed by client
+     * @param {MoveMsg} serverMsg same move performed by server
+     * @return {boolean} are counters or timers predicted wrong
+     */
+    isCounterMispredicted(predictedMsg, serverMsg) {
+        return predictedMsg.jumpCount != serverMsg.jumpCount
+            || Math.abs(predictedMsg.coyoteTimer - serverMsg.coyoteTimer) > KINDA_SMALL_NUMBER
+            || Math.abs(predictedMsg.jumpBufferTimer - serverMsg.jumpBufferTimer) > KINDA_SMALL_NUMBER
+            || Math.abs(predictedMsg.dashCooldownTimer - serverMsg.dashCooldownTimer) > KINDA_SMALL_NUMBER;
+    }
+
+    /**
+     * switch to move mode of a corrected move through its hooks, then find floor and base again,
+     * at scene time of the move
+     * @param {MoveMsg} moveMsg
+     */
+    restoreMoveMode(moveMsg) {
+        const currentSceneTime = this.scene.time;
+        this.scene.setTime(moveMsg.sceneTime);
+        this.setBodyCollision(false);
+        this.setMoveMode(moveMsg.moveMode);
+        this.restoreModeState(moveMsg.modeState);
+        if (this.movementInfo.currentModeMode == MoveMode.walking) {
+            this.movementInfo.currentFloor = this.findFloor(this.capsule.center, null);
+        }
+        this.updateBase();
+        this.setBodyCollision(true);
+        this.scene.setTime(currentSceneTime);
+    }
+
     reconciliation() {
         this.needReconciliation = false;
+        const sceneTime = this.scene.time;
+        // jump input may changed after last move, a press after it is not in history
         const savedPressedJump = this.movementInfo.pressedJump;
+        const justPressedJump = savedPressedJump && this.movementInfo.jumpHoldTime == 0;
+        const savedWantsToCrouch = this.movementInfo.wantsToCrouch;
+        const savedPressedDash = this.movementInfo.pressedDash;
+        // launched after last move, apply in next move
+        const savedPendingLaunchVelocity = this.movementInfo.pendingLaunchVelocity;
+        const savedPendingImpulse = this.movementInfo.pendingImpulse;
+        const savedPendingTeleport = this.movementInfo.pendingTeleport;
+        this.isReplaying = true;
         for (let moveMsg of this.historyMoveMsgs) {
             this.acceleration = moveMsg.acceleration.clone();
-            this.movementInfo.pressedJump = moveMsg.pressedJump;
+            this.restoreMoveState(moveMsg.moveState);
+            this.scene.setTime(moveMsg.sceneTime);
             this.performMovement(moveMsg.dt);
             moveMsg.pos = this.pos.clone();
             moveMsg.velocity = this.velocity.clone();
             moveMsg.moveMode = this.movementInfo.currentModeMode;
+            moveMsg.modeState = this.saveModeState();
+            moveMsg.isCrouched = this.movementInfo.isCrouched;
+            moveMsg.pushedProps = this.movementInfo.pushedProps;
+            moveMsg.teleportCount = this.movementInfo.teleportCount;
+            moveMsg.jumpCount = this.movementInfo.jumpCount;
+            moveMsg.coyoteTimer = this.movementInfo.coyoteTimer;
+            moveMsg.jumpBufferTimer = this.movementInfo.jumpBufferTimer;
+            moveMsg.dashCooldownTimer = this.movementInfo.dashCooldownTimer;
+            moveMsg.contactEvents = Array.from(this.movementInfo.contactEvents);
         }
-        this.movementInfo.pressedJump = savedPressedJump;
+        this.isReplaying = false;
+        // take press or release after last move, keep replayed hold time and jump buffer
+        if (justPressedJump) {
+            this.movementInfo.pressedJump = true;
+            this.movementInfo.jumpHoldTime = 0;
+        } else if (!savedPressedJump) {
+            this.movementInfo.pressedJump = false;
+        }
+        this.movementInfo.wantsToCrouch = savedWantsToCrouch;
+        this.movementInfo.pressedDash = savedPressedDash;
+        this.movementInfo.pendingLaunchVelocity = savedPendingLaunchVelocity;
+        this.movementInfo.pendingImpulse = savedPendingImpulse;
+        this.movementInfo.pendingTeleport = savedPendingTeleport;
+        this.scene.setTime(sceneTime);
     }
 
     /**
@@ -1109,15 +2979,26 @@ export default class Player {
         if (moveMsg.sequence <= this.lastReceiveSequence) {
             return;
         }
-        let dt = moveMsg.dt;
-        if (this.lastReceiveTimestamp != 0) {
-            dt = moveMsg.timestamp - this.lastReceiveTimestamp;
-        }
         this.lastReceiveSequence = moveMsg.sequence;
-        this.lastReceiveTimestamp = moveMsg.timestamp;
         this.acceleration = moveMsg.acceleration.clone();
-        this.movementInfo.pressedJump = moveMsg.pressedJump;
+        // launches predicted by client are not taken, server applies only its own
+        const launchVelocity = this.movementInfo.pendingLaunchVelocity;
+        const impulse = this.movementInfo.pendingImpulse;
+        // jump counters and dash cooldown are not sent, server runs its own
+        this.restoreMoveState(moveMsg.moveState);
+        this.movementInfo.pendingLaunchVelocity = launchVelocity;
+        this.movementInfo.pendingImpulse = impulse;
+        // dt of client is clamped to server time passed since moves before, idle client does not save up time
+        const sceneTime = this.scene.time;
+        const maxMoveDeltaTime = this.movementConfig.maxMoveDeltaTime;
+        this.serverMoveTime = Math.max(this.serverMoveTime, sceneTime - maxMoveDeltaTime);
+        const dt = Math.max(0, Math.min(moveMsg.dt, maxMoveDeltaTime, sceneTime - this.serverMoveTime));
+        this.serverMoveTime += dt;
+        // move with kinematic polygons at the pose client saw
+        this.scene.setTime(moveMsg.sceneTime);
+        // sub step the same time as client did, the last sub step is capped so a large dt can not tunnel
         this.performMovement(dt);
+        this.scene.setTime(sceneTime);
     }
 
     /**
@@ -1134,9 +3015,11 @@ export default class Player {
             return;
         }
         this.lastReceiveSequence = moveMsg.sequence;
+        this.setCrouchShape(moveMsg.isCrouched);
         this.pos = moveMsg.pos.clone();
         this.velocity = moveMsg.velocity.clone();
         this.movementInfo.currentModeMode = moveMsg.moveMode;
+        this.restoreModeState(moveMsg.modeState);
     }
 
     /**
@@ -1145,6 +3028,145 @@ export default class Player {
      */
     simulateMove(dt) {
         //TODO: need more complex simulate
+        this.setBodyCollision(false);
         this.move(this.velocity.mul(dt));
+        this.setBodyCollision(true);
     }
 }
+
+/**
+ * @param {Player} player
+ * @return {any} ledge state of hanging and mantling
+ */
+const saveLedgeState = (player) => ({
+    hangPos: player.movementInfo.ledge.hangPos.clone(),
+    standPos: player.movementInfo.ledge.standPos.clone(),
+    mantleTime: player.movementInfo.mantleTime,
+});
+
+/**
+ * @param {Player} player
+ * @param {any} state
+ */
+const restoreLedgeState = (player, state) => {
+    player.movementInfo.ledge = {
+        hangPos: state.hangPos.clone(),
+        standPos: state.standPos.clone(),
+    };
+    player.movementInfo.mantleTime = state.mantleTime;
+};
+
+/**
+ * @param {Player} player
+ * @return {any} state of dashing mode
+ */
+const saveDashState = (player) => ({
+    dashTime: player.movementInfo.dashTime,
+    dashDirection: player.movementInfo.dashDirection,
+});
+
+/**
+ * @param {Player} player
+ * @param {any} state
+ */
+const restoreDashState = (player, state) => {
+    player.movementInfo.dashTime = state.dashTime;
+    player.movementInfo.dashDirection = state.dashDirection;
+};
+
+/**
+ * move modes of all players, register custom move modes here,
+ * custom mode id should not conflict with `MoveMode`
+ */
+Player.moveModes = new MoveModeRegistry();
+
+Player.moveModes.register({
+    name: "none",
+    id: MoveMode.none,
+    phys: (player) => {
+        player.velocity = new Vec2();
+    },
+});
+
+Player.moveModes.register({
+    name: "walking",
+    id: MoveMode.walking,
+    phys: (player, dt) => player.physWalking(dt),
+    onEnter: (player) => {
+        player.movementInfo.currentFloor = player.findFloor(player.capsule.center, null);
+        player.adjustFloorHeight();
+    },
+    animeKey: (player) => player.velocity.x == 0 ? "idle" : "walking",
+});
+
+Player.moveModes.register({
+    name: "falling",
+    id: MoveMode.falling,
+    phys: (player, dt) => player.physFalling(dt),
+    onExit: (player) => {
+        player.movementInfo.wallContact = new HitResult();
+        player.movementInfo.isWallSliding = false;
+    },
+    animeKey: (player, dt) => {
+        if (player.movementInfo.isWallSliding) {
+            return "wallSliding";
+        }
+        if (player.lastMoveMode == MoveMode.walking || player.movementInfo.jumpCount > player.lastJumpCount) {
+            player.jumpRemainTimer = 0.18;// jump anime clip total duration
+            player.jumpRemainTimer -= dt;
+            return "jump";
+        } else if (player.jumpRemainTimer > 0) {
+            player.jumpRemainTimer -= dt;
+            return "jump";
+        }
+        return "falling";
+    },
+});
+
+Player.moveModes.register({
+    name: "swimming",
+    id: MoveMode.swimming,
+    phys: (player, dt) => player.physSwimming(dt),
+    animeKey: "swimming",
+});
+
+Player.moveModes.register({
+    name: "hanging",
+    id: MoveMode.hanging,
+    phys: (player, dt) => player.physHanging(dt),
+    saveState: saveLedgeState,
+    restoreState: restoreLedgeState,
+    animeKey: "hanging",
+});
+
+Player.moveModes.register({
+    name: "mantling",
+    id: MoveMode.mantling,
+    phys: (player, dt) => player.physMantling(dt),
+    saveState: saveLedgeState,
+    restoreState: restoreLedgeState,
+    animeKey: "mantling",
+});
+
+Player.moveModes.register({
+    name: "climbing",
+    id: MoveMode.climbing,
+    phys: (player, dt) => player.physClimbing(dt),
+    animeKey: "climbing",
+});
+
+Player.moveModes.register({
+    name: "sliding",
+    id: MoveMode.sliding,
+    phys: (player, dt) => player.physSliding(dt),
+    animeKey: "sliding",
+});
+
+Player.moveModes.register({
+    name: "dashing",
+    id: MoveMode.dashing,
+    phys: (player, dt) => player.physDashing(dt),
+    saveState: saveDashState,
+    restoreState: restoreDashState,
+    animeKey: "dashing",
+});
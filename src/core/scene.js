@@ -1,6 +1,8 @@
 // @ts-check
 
-import Polygon from "./geom/polygon";
+import Polygon, { CollisionType } from "./geom/polygon";
+import Volume, { WaterVolume, LadderVolume, GravityVolume } from "./geom/volume";
+import KinematicPolygon from "./geom/kinematicPolygon";
 import Vec2 from "../algebra/vec2";
 import { Debug } from "./globals";
 
@@ -143,6 +145,12 @@ export default class Scene {
         // bound polygon (inverse segment order)
         const boundPoly = new Polygon([new Vec2(), new Vec2(0, height), new Vec2(width, height), new Vec2(width, 0)], this.backgroundColor);
         this.polygons = [boundPoly];
+        /** @type {Volume[]} */
+        this.volumes = [];
+        /** @type {import("./geom/dynamicProp").default[]} */
+        this.props = [];
+        this.time = 0;
+        this.gravity = new Vec2(0, 980);
 
         /** @type {DebugDrawableWrapper[]} */
         this.timeDrawables = [];
@@ -158,6 +166,123 @@ export default class Scene {
         this.polygons.push(polygon);
     }
 
+    /**
+     * @param {Polygon} polygon
+     */
+    removePolygon(polygon) {
+        const idx = this.polygons.indexOf(polygon);
+        if (idx >= 0) {
+            this.polygons.splice(idx, 1);
+        }
+    }
+
+    /**
+     * props are identified by index, so server and clients should add them in same order
+     * @param {import("./geom/dynamicProp").default} prop
+     */
+    addProp(prop) {
+        prop.id = this.props.length;
+        this.props.push(prop);
+        this.addPolygon(prop);
+    }
+
+    /**
+     * @param {number} dt
+     */
+    updateProps(dt) {
+        for (let prop of this.props) {
+            prop.update(this, dt);
+        }
+    }
+
+    /**
+     * @return {import("./geom/dynamicProp").PropState[]}
+     */
+    savePropStates() {
+        return this.props.map(prop => prop.saveState());
+    }
+
+    /**
+     * @param {Vec2} point
+     * @return {boolean} is point out of bound or inside a blocking polygon
+     */
+    isInsideSolid(point) {
+        const [boundPoly, ...polygons] = this.polygons;
+        if (!boundPoly.containsPoint(point)) {
+            return true;
+        }
+        return polygons.some(polygon => polygon.collisionType != CollisionType.oneWay && polygon.containsPoint(point));
+    }
+
+    /**
+     * @param {Volume} volume
+     */
+    addVolume(volume) {
+        this.volumes.push(volume);
+    }
+
+    /**
+     * @return {WaterVolume[]} all water volumes of this scene
+     */
+    getWaterVolumes() {
+        /** @type {WaterVolume[]} */
+        const waterVolumes = [];
+        for (let volume of this.volumes) {
+            if (volume instanceof WaterVolume) {
+                waterVolumes.push(volume);
+            }
+        }
+        return waterVolumes;
+    }
+
+    /**
+     * @return {LadderVolume[]} all ladder volumes of this scene
+     */
+    getLadderVolumes() {
+        /** @type {LadderVolume[]} */
+        const ladderVolumes = [];
+        for (let volume of this.volumes) {
+            if (volume instanceof LadderVolume) {
+                ladderVolumes.push(volume);
+            }
+        }
+        return ladderVolumes;
+    }
+
+    /**
+     * @param {Vec2} point
+     * @return {Vec2} gravity at the point, gravity volumes override gravity of scene
+     */
+    getGravity(point) {
+        for (let volume of this.volumes) {
+            if (volume instanceof GravityVolume && volume.containsPoint(point)) {
+                return volume.gravity.clone();
+            }
+        }
+        return this.gravity.clone();
+    }
+
+    /**
+     * @param {Vec2} point
+     * @return {Vec2} direction floors are found along at the point, vertical because capsules stay upright
+     */
+    getGravityDir(point) {
+        return new Vec2(0, this.getGravity(point).y < 0 ? -1 : 1);
+    }
+
+    /**
+     * move kinematic polygons to their pose of time
+     * @param {number} time scene time in seconds
+     */
+    setTime(time) {
+        this.time = time;
+        for (let polygon of this.polygons) {
+            if (polygon instanceof KinematicPolygon) {
+                polygon.setTime(time);
+            }
+        }
+    }
+
     /**
      * @param {number} dt
      */
@@ -202,6 +327,9 @@ export default class Scene {
         for (let polygon of this.polygons) {
             polygon.draw(ctx);
         }
+        for (let volume of this.volumes) {
+            volume.draw(ctx);
+        }
     }
 
     /**
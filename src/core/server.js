@@ -8,6 +8,7 @@ import Client from "./client";
 /**
  * @typedef {Object} ReplicateMoveMsg
  * @property {import("./player").MoveMsg[]} moveMsgs
+ * @property {import("./geom/dynamicProp").PropState[]} propStates - props of scene after moves
  */
 
 export default class Server extends Instance {
@@ -89,7 +90,7 @@ export default class Server extends Instance {
         this.idMap.delete(id);
         this.sendChannels.splice(idx, 1);
         this.recvChannels.splice(idx, 1);
-        this.players.splice(idx, 1);
+        this.removePlayers(idx, 1);
         for (let i = 0; i < this.players.length; i++) {
             const remainId = this.players[i].id;
             const oldIdx = this.idMap.get(remainId);
@@ -138,6 +139,7 @@ export default class Server extends Instance {
             /**@type {ReplicateMoveMsg} */
             const replicateMoveMsg = {
                 moveMsgs: moveMsgs,
+                propStates: this.scene.savePropStates(),
             }
             for (let sendChannel of this.sendChannels) {
                 sendChannel.push(this.currentTime, replicateMoveMsg);
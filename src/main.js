@@ -150,6 +150,13 @@ client1Animator.addNewAnimeClip("walking", walkAnimeClip);
 client1Animator.addNewAnimeClip("idle", idleAnimClip);
 client1Animator.addNewAnimeClip("falling", fallAnimClip);
 client1Animator.addNewAnimeClip("jump", jumpAnimClip);
+client1Animator.addNewAnimeClip("swimming", fallAnimClip.clone());
+client1Animator.addNewAnimeClip("hanging", idleAnimClip.clone());
+client1Animator.addNewAnimeClip("mantling", jumpAnimClip.clone());
+client1Animator.addNewAnimeClip("climbing", walkAnimeClip.clone());
+client1Animator.addNewAnimeClip("wallSliding", fallAnimClip.clone());
+client1Animator.addNewAnimeClip("sliding", fallAnimClip.clone());
+client1Animator.addNewAnimeClip("dashing", jumpAnimClip.clone());
 
 // client 1
 const client1Player = new Player(new Vec2(50, 200), "#FBE251", 0);
@@ -157,6 +164,8 @@ client1Player.animator = client1Animator;
 const input1 = new InputSystem();
 input1.setAxis("KeyW", "KeyS", "KeyD", "KeyA");
 input1.setAction("jump", "Space");
+input1.setAction("crouch", "KeyC");
+input1.setAction("dash", "ShiftLeft");
 const client1 = new Client(canvas1, client1Player, input1);
 // client 2
 const client2Player = new Player(new Vec2(400, 200), "#FEDFE1", 0);
@@ -164,6 +173,8 @@ client2Player.animator = client1Animator.clone();
 const input2 = new InputSystem();
 input2.setAxis("ArrowUp", "ArrowDown", "ArrowRight", "ArrowLeft");
 input2.setAction("jump", "Numpad0");
+input2.setAction("crouch", "Numpad1");
+input2.setAction("dash", "Numpad2");
 const client2 = new Client(canvas3, client2Player, input2);
 // server
 const server = new Server(canvas2);
@@ -282,6 +293,24 @@ const handleSync = (server, id) => {
 }
 handleSync(server, "server_sync");
 
+/**
+ * player collision settings
+ * @param {string} id
+ */
+const handlePlayerCollision = (id) => {
+    /** @type {HTMLInputElement} */
+    const collisionInput = (document.getElementById(id));
+    collisionInput.onchange = function(e) {
+        /** @type {HTMLInputElement} */
+        let target = (e.target);
+        for (let instance of instances) {
+            instance.setPlayerCollision(target.checked);
+        }
+    }
+    collisionInput.dispatchEvent(new Event("change"));
+}
+handlePlayerCollision("player_collision");
+
 /**
  * Connect
  * @param {Client} client
@@ -0,0 +1,19 @@
+// core modules are written for the browser, provide the few globals they touch,
+// import this before any source module
+
+const context = new Proxy({}, {
+    get: () => () => {},
+});
+
+globalThis["window"] = globalThis["window"] || {};
+
+/**
+ * @return {any} canvas of demo size, drawing on it does nothing
+ */
+export function createCanvas() {
+    return {
+        width: 600,
+        height: 500,
+        getContext: () => context,
+    };
+}
@@ -0,0 +1,64 @@
+import { createScene, createFlatScene, createPlayer, runFrames, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+
+// low ceiling from x 300 to 400, too low to stand under
+const buildTunnelScene = () => createScene([
+    [[0, 400], [600, 400], [600, 500], [0, 500]],
+    [[300, 350], [400, 350], [400, 360], [300, 360]],
+]);
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number} y of capsule bottom
+ */
+const feetY = (player) => player.pos.y + player.capsule.halfHeight + player.capsule.radius;
+
+test("crouch shrinks capsule with feet kept on floor and slows walking", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 300));
+    runFrames(player, 60);
+    const standFeetY = feetY(player);
+    player.crouch();
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.ok(player.movementInfo.isCrouched);
+    assert.strictEqual(player.capsule.halfHeight, player.movementConfig.crouchedHalfHeight);
+    assert.ok(Math.abs(feetY(player) - standFeetY) < 1e-3);
+    assert.ok(Math.abs(player.velocity.x - player.movementConfig.maxCrouchSpeed) < 1e-3);
+    player.unCrouch();
+    runFrames(player, 1);
+    assert.ok(!player.movementInfo.isCrouched);
+    assert.strictEqual(player.capsule.halfHeight, player.standHalfHeight);
+    assert.ok(Math.abs(feetY(player) - standFeetY) < 1e-3);
+});
+
+test("stay crouched under low ceiling until there is room to stand", () => {
+    const player = createPlayer(buildTunnelScene(), new Vec2(200, 300));
+    runFrames(player, 60, new Vec2(1, 0));
+    // blocked by ceiling when standing
+    assert.ok(player.pos.x < 300);
+    player.crouch();
+    runFrames(player, 30, new Vec2(1, 0));
+    assert.ok(player.pos.x > 300 && player.pos.x < 400);
+    player.unCrouch();
+    runFrames(player, 1);
+    assert.ok(player.movementInfo.isCrouched);
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.ok(player.pos.x > 420);
+    assert.ok(!player.movementInfo.isCrouched);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+});
+
+test("crouched walking under ceiling agrees with server", () => {
+    const net = createNet(new Vec2(200, 300), buildTunnelScene);
+    net.run(30);
+    net.run(60, () => {
+        net.keys["KeyD"] = true;
+        net.keys["KeyC"] = true;
+    });
+    net.run(60, () => net.keys["KeyC"] = false);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+    assert.ok(!net.serverPlayer.movementInfo.isCrouched);
+});
@@ -0,0 +1,93 @@
+import { createFlatScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number[]} move modes switched to
+ */
+const recordModes = (player) => {
+    const modes = [];
+    const setMoveMode = player.setMoveMode;
+    player.setMoveMode = function(moveMode) {
+        if (moveMode != this.movementInfo.currentModeMode) {
+            modes.push(moveMode);
+        }
+        setMoveMode.call(this, moveMode);
+    };
+    return modes;
+};
+
+test("dash on floor ends walking without landing", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 300));
+    runFrames(player, 60);
+    const modes = recordModes(player);
+    const landed = recordEvents(player, MoveEvent.landed);
+    const startX = player.pos.x;
+    runFrames(player, 1, new Vec2(), () => player.dash());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.dashing);
+    runFrames(player, 20);
+    assert.deepStrictEqual(modes, [MoveMode.dashing, MoveMode.walking]);
+    assert.strictEqual(landed.length, 0);
+    const dashDist = player.movementConfig.dashSpeed * player.movementConfig.dashDuration;
+    assert.ok(player.pos.x - startX > dashDist);
+});
+
+test("dash in air keeps height and ends falling", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 100));
+    runFrames(player, 5);
+    const y = player.pos.y;
+    runFrames(player, 1, new Vec2(1, 0), () => player.dash());
+    runFrames(player, 5);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.dashing);
+    assert.strictEqual(player.pos.y, y);
+    runFrames(player, 10);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+});
+
+test("dash again only after cooldown", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 300));
+    runFrames(player, 60);
+    const modes = recordModes(player);
+    runFrames(player, 1, new Vec2(), () => player.dash());
+    runFrames(player, 20, new Vec2(), () => player.dash());
+    assert.strictEqual(modes.filter(mode => mode == MoveMode.dashing).length, 1);
+    runFrames(player, 30);
+    runFrames(player, 1, new Vec2(), () => player.dash());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.dashing);
+});
+
+test("server ignores dash cooldown sent by client", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene, 50);
+    net.run(60);
+    const serverModes = recordModes(net.serverPlayer);
+    net.run(2, (frame) => net.keys["ShiftLeft"] = frame == 0);
+    net.run(12);
+    // client cheats the cooldown and dashes again, claiming dash is ready
+    net.forge = (moveMsg) => moveMsg.dashCooldownTimer = 0;
+    const clientModes = recordModes(net.player);
+    net.player.movementInfo.dashCooldownTimer = 0;
+    net.run(2, (frame) => net.keys["ShiftLeft"] = frame == 0);
+    assert.ok(clientModes.includes(MoveMode.dashing));
+    net.run(30);
+    assert.strictEqual(serverModes.filter(mode => mode == MoveMode.dashing).length, 1);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+    assert.strictEqual(net.player.movementInfo.currentModeMode, MoveMode.walking);
+});
+
+test("client is corrected by dash cooldown of server", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene, 50);
+    net.run(60);
+    net.run(2, (frame) => net.keys["ShiftLeft"] = frame == 0);
+    net.run(12);
+    // client thinks dash is ready again, server does not
+    net.player.movementInfo.dashCooldownTimer = 0;
+    net.run(2, (frame) => net.keys["ShiftLeft"] = frame == 0);
+    net.run(30);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+    assert.strictEqual(net.player.movementInfo.currentModeMode, MoveMode.walking);
+});
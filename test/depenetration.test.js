@@ -0,0 +1,65 @@
+import { createScene, createFlatScene, createPlayer, runFrames, recordEvents } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+test("walking capsule sunk into floor is pushed out", () => {
+    const scene = createFlatScene();
+    const player = createPlayer(scene, new Vec2(300, 300));
+    runFrames(player, 60);
+    const penetrations = recordEvents(player, MoveEvent.penetration);
+    player.pos = player.pos.add(new Vec2(0, 20));
+    assert.ok(player.capsule.overlayTest(scene));
+    runFrames(player, 1, new Vec2(1, 0));
+    assert.strictEqual(penetrations.length, 1);
+    assert.strictEqual(penetrations[0].polygon, scene.polygons[scene.polygons.length - 1]);
+    assert.ok(penetrations[0].resolved);
+    assert.ok(penetrations[0].adjustment.y < 0);
+    assert.ok(!player.capsule.overlayTest(scene));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    runFrames(player, 10, new Vec2(1, 0));
+    assert.strictEqual(penetrations.length, 1);
+});
+
+test("capsule sunk deeper than its radius is pushed out on top", () => {
+    const scene = createFlatScene();
+    const player = createPlayer(scene, new Vec2(300, 300));
+    runFrames(player, 60);
+    const restY = player.pos.y;
+    const penetrations = recordEvents(player, MoveEvent.penetration);
+    player.pos = player.pos.add(new Vec2(0, 50));
+    assert.ok(scene.isInsideSolid(player.capsule.a) && scene.isInsideSolid(player.capsule.b));
+    runFrames(player, 1, new Vec2(1, 0));
+    assert.strictEqual(penetrations.length, 1);
+    assert.strictEqual(penetrations[0].polygon, scene.polygons[scene.polygons.length - 1]);
+    assert.ok(penetrations[0].resolved);
+    assert.ok(penetrations[0].adjustment.y < -45);
+    assert.ok(!player.capsule.overlayTest(scene));
+    runFrames(player, 10, new Vec2(1, 0));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(player.pos.y - restY) < 1);
+    assert.strictEqual(penetrations.length, 1);
+});
+
+test("capsule pushed into concave corner is pushed out of both walls", () => {
+    const scene = createScene([[[0, 400], [400, 400], [400, 200], [600, 200], [600, 500], [0, 500]]]);
+    const player = createPlayer(scene, new Vec2(300, 300));
+    runFrames(player, 60, new Vec2(1, 0));
+    const penetrations = recordEvents(player, MoveEvent.penetration);
+    player.pos = player.pos.add(new Vec2(6, 6));
+    assert.ok(player.capsule.overlayTest(scene));
+    assert.ok(player.resolveOverlap());
+    assert.strictEqual(penetrations.length, 1);
+    assert.ok(!player.capsule.overlayTest(scene));
+    assert.ok(player.pos.x < 400 - player.capsule.radius);
+    assert.ok(player.pos.y < 400 - player.capsule.radius - player.capsule.halfHeight);
+});
+
+test("resolve overlap does nothing when capsule is free", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    const penetrations = recordEvents(player, MoveEvent.penetration);
+    assert.ok(player.resolveOverlap());
+    assert.deepStrictEqual(player.pos, new Vec2(300, 300));
+    assert.strictEqual(penetrations.length, 0);
+});
@@ -0,0 +1,77 @@
+import { createScene, createFlatScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+// wall from x 400 standing on floor at y 400
+const buildWallScene = () => createScene([
+    [[0, 400], [600, 400], [600, 500], [0, 500]],
+    [[400, 250], [420, 250], [420, 400], [400, 400]],
+]);
+
+test("land once when falling onto floor", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    const landed = recordEvents(player, MoveEvent.landed);
+    runFrames(player, 60);
+    assert.strictEqual(landed.length, 1);
+    assert.ok(landed[0].velocity.y > 0);
+    assert.ok(landed[0].hit.blockingHit);
+    assert.ok(!landed[0].predicted && !landed[0].replayed);
+});
+
+test("do not land when sliding onto walkable floor", () => {
+    const player = createPlayer(createScene([[[0, 200], [100, 200], [240, 400], [600, 400], [600, 500], [0, 500]]]),
+        new Vec2(150, 200));
+    const landed = recordEvents(player, MoveEvent.landed);
+    runFrames(player, 90);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.strictEqual(landed.length, 0);
+});
+
+test("jump and walk off ledge", () => {
+    const player = createPlayer(createScene([[[0, 400], [300, 400], [300, 500], [0, 500]]]), new Vec2(200, 300));
+    runFrames(player, 30);
+    const jumped = recordEvents(player, MoveEvent.jumped);
+    const walkedOff = recordEvents(player, MoveEvent.walkedOffLedge);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    player.stopJumping();
+    assert.strictEqual(jumped.length, 1);
+    runFrames(player, 90);
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(jumped.length, 1);
+    assert.strictEqual(walkedOff.length, 1);
+});
+
+test("hit wall once while pushing against it", () => {
+    const player = createPlayer(buildWallScene(), new Vec2(300, 300));
+    runFrames(player, 30);
+    const hitWall = recordEvents(player, MoveEvent.hitWall);
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(hitWall.length, 1);
+    runFrames(player, 30, new Vec2(-1, 0));
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(hitWall.length, 2);
+});
+
+test("replay does not hit wall again when corrected onto a lasting contact", () => {
+    const net = createNet(new Vec2(300, 300), buildWallScene);
+    net.run(30);
+    net.run(60, () => net.keys["KeyD"] = true);
+    const hitWall = recordEvents(net.player, MoveEvent.hitWall);
+    // client thinks it is away from the wall, server keeps touching it
+    net.player.pos = net.player.pos.sub(new Vec2(100, 0));
+    net.run(60);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+    assert.strictEqual(hitWall.length, 0);
+});
+
+test("landed on client is predicted and not replayed without correction", () => {
+    const net = createNet(new Vec2(300, 300), createFlatScene);
+    const landed = recordEvents(net.player, MoveEvent.landed);
+    net.run(60);
+    assert.strictEqual(landed.length, 1);
+    assert.ok(landed[0].predicted && !landed[0].replayed);
+    assert.strictEqual(net.corrections, 0);
+});
@@ -0,0 +1,62 @@
+import { createFlatScene, createPlayer, runFrames, FRAME_TIME } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+
+/**
+ * @param {(player: import("../src/core/player").default) => void} [configure]
+ * @return {import("../src/core/player").default} player walking at max speed
+ */
+const createRunningPlayer = (configure = null) => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 300));
+    if (configure) {
+        configure(player);
+    }
+    runFrames(player, 30);
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.ok(Math.abs(player.velocity.x - player.maxSpeed) < 1e-3);
+    return player;
+};
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number} distance walked after releasing input until stop
+ */
+const brakingDistance = (player) => {
+    const startX = player.pos.x;
+    let frame = 0;
+    while (player.velocity.x != 0 && frame++ < 600) {
+        runFrames(player, 1);
+    }
+    assert.strictEqual(player.velocity.x, 0);
+    return player.pos.x - startX;
+};
+
+test("stop by friction and braking after releasing input", () => {
+    const normal = brakingDistance(createRunningPlayer());
+    const strong = brakingDistance(createRunningPlayer((player) => player.movementConfig.brakingDeceleration = 6000));
+    const noBraking = brakingDistance(createRunningPlayer((player) => player.movementConfig.brakingDeceleration = 0));
+    assert.ok(normal > 0);
+    assert.ok(strong < normal);
+    assert.ok(noBraking > normal);
+});
+
+test("keep velocity without friction and braking", () => {
+    const player = createRunningPlayer((player) => {
+        player.movementConfig.groundFriction = 0;
+        player.movementConfig.brakingDeceleration = 0;
+    });
+    runFrames(player, 30);
+    assert.ok(Math.abs(player.velocity.x - player.maxSpeed) < 1e-3);
+});
+
+test("acceleration is scaled by curve of speed ratio", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(100, 300));
+    player.movementConfig.accelerationCurve = [[0, 2], [0.5, 1], [1, 0.5]];
+    assert.strictEqual(player.evaluateCurve(player.movementConfig.accelerationCurve, -1), 2);
+    assert.strictEqual(player.evaluateCurve(player.movementConfig.accelerationCurve, 0.75), 0.75);
+    assert.strictEqual(player.evaluateCurve(player.movementConfig.accelerationCurve, 2), 0.5);
+    runFrames(player, 30);
+    runFrames(player, 1, new Vec2(1, 0));
+    assert.ok(Math.abs(player.velocity.x - player.maxAcceleration * 2 * FRAME_TIME) < 1e-3);
+});
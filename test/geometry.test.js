@@ -0,0 +1,52 @@
+import { createScene, createFlatScene, createPlayer, runFrames, recordEvents } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import Capsule from "../src/core/geom/capsule";
+import { segmentShortestTest } from "../src/core/geom/util";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+test("closest points lie on their own segments", () => {
+    // end point of first segment is closest
+    let result = segmentShortestTest(new Vec2(20, 0), new Vec2(40, 0), new Vec2(0, -15), new Vec2(0, 15));
+    assert.deepStrictEqual([result.pa, result.pb], [new Vec2(20, 0), new Vec2(0, 0)]);
+    // end point of second segment is closest
+    result = segmentShortestTest(new Vec2(0, -15), new Vec2(0, 15), new Vec2(20, 0), new Vec2(40, 0));
+    assert.strictEqual(result.dist, 20);
+    assert.deepStrictEqual([result.pa, result.pb], [new Vec2(0, 0), new Vec2(20, 0)]);
+});
+
+test("capsule side sweeps onto a corner", () => {
+    const capsule = new Capsule(new Vec2(380, 300), 15, 12);
+    // corner of top face touches straight side of capsule
+    const topHit = capsule.sweep(new Vec2(1, 0), 20, new Vec2(400, 300), new Vec2(600, 300));
+    assert.ok(topHit.blockingHit);
+    assert.ok(Math.abs(topHit.distance - 8) < 0.2);
+    assert.deepStrictEqual(topHit.impactPoint, new Vec2(400, 300));
+    assert.deepStrictEqual(topHit.normal, new Vec2(-1, 0));
+    const wallHit = capsule.sweep(new Vec2(1, 0), 20, new Vec2(400, 500), new Vec2(400, 300));
+    assert.ok(wallHit.blockingHit);
+    assert.deepStrictEqual(wallHit.normal, new Vec2(-1, 0));
+});
+
+test("land and walk on flat floor, slope and step", () => {
+    const scenes = [
+        createFlatScene(),
+        createScene([[[0, 400], [300, 400], [600, 300], [600, 500], [0, 500]]]),
+        createScene([[[0, 400], [200, 400], [200, 380], [600, 380], [600, 500], [0, 500]]]),
+    ];
+    for (let scene of scenes) {
+        const player = createPlayer(scene, new Vec2(100, 300));
+        const landed = recordEvents(player, MoveEvent.landed);
+        runFrames(player, 30);
+        assert.strictEqual(landed.length, 1);
+        // rest at average floor distance above floor
+        assert.ok(Math.abs(player.pos.y - 370.85) < 1e-3);
+        runFrames(player, 90, new Vec2(1, 0));
+        assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+        assert.ok(Math.abs(player.velocity.x - player.maxSpeed) < 1e-3);
+        const floorY = player.movementInfo.currentFloor.hitResult.impactPoint.y;
+        assert.ok(player.pos.y < floorY - player.capsule.halfHeight);
+        assert.ok(player.pos.x > 450);
+    }
+});
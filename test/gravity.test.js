@@ -0,0 +1,85 @@
+import { createScene, createFlatScene, createPlayer, runFrames, recordEvents, createNet, toVec2s, FRAME_TIME } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { GravityVolume } from "../src/core/geom/volume";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @return {import("../src/core/scene").default} scene with a ceiling at y 100 and reversed gravity above y 200
+ */
+const buildFlipScene = () => {
+    const scene = createScene([
+        [[0, 400], [600, 400], [600, 500], [0, 500]],
+        [[0, 80], [600, 80], [600, 100], [0, 100]],
+    ]);
+    scene.addVolume(new GravityVolume(toVec2s([[0, 100], [600, 100], [600, 200], [0, 200]]), new Vec2(0, -980)));
+    return scene;
+};
+
+test("fall by scaled gravity of scene until max fall speed", () => {
+    const scene = createFlatScene();
+    scene.gravity = new Vec2(0, 2000);
+    const player = createPlayer(scene, new Vec2(300, 100));
+    player.movementConfig.gravityScale = 0.5;
+    player.movementConfig.maxFallSpeed = 200;
+    runFrames(player, 1);
+    assert.ok(Math.abs(player.velocity.y - 1000 * FRAME_TIME) < 1e-6);
+    runFrames(player, 20);
+    assert.ok(Math.abs(player.velocity.y - 200) < 1e-6);
+});
+
+test("float without gravity", () => {
+    const scene = createFlatScene();
+    scene.gravity = new Vec2();
+    const player = createPlayer(scene, new Vec2(300, 100));
+    player.velocity = new Vec2(0, -50);
+    runFrames(player, 30);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(Math.abs(player.velocity.y + 50) < 1e-6);
+    assert.ok(Math.abs(player.pos.y - (100 - 50 * 30 * FRAME_TIME)) < 1e-6);
+});
+
+test("fall up in reversed gravity, land and walk on ceiling", () => {
+    const player = createPlayer(buildFlipScene(), new Vec2(300, 170));
+    const landed = recordEvents(player, MoveEvent.landed);
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.strictEqual(landed.length, 1);
+    assert.deepStrictEqual(player.movementInfo.gravityDir, new Vec2(0, -1));
+    assert.ok(player.movementInfo.currentFloor.isWalkableFloor());
+    // rest below the ceiling at floor distance
+    assert.ok(Math.abs(player.pos.y - 129.15) < 0.3);
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(player.velocity.x - player.maxSpeed) < 1e-3);
+    assert.ok(Math.abs(player.pos.y - 129.15) < 0.3);
+});
+
+test("jump off ceiling back into gravity of scene", () => {
+    const player = createPlayer(buildFlipScene(), new Vec2(300, 170));
+    runFrames(player, 60);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.ok(player.velocity.y > 0);
+    // hold jump to leave the volume
+    runFrames(player, 20);
+    player.stopJumping();
+    runFrames(player, 120);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.deepStrictEqual(player.movementInfo.gravityDir, new Vec2(0, 1));
+    assert.ok(Math.abs(player.pos.y - 370.85) < 0.3);
+});
+
+test("walking on ceiling agrees with server", () => {
+    const net = createNet(new Vec2(300, 170), buildFlipScene);
+    net.run(60);
+    net.run(30, () => net.keys["KeyD"] = true);
+    net.run(2, (frame) => {
+        net.keys["KeyD"] = false;
+        net.keys["Space"] = frame == 0;
+    });
+    net.run(120);
+    assert.strictEqual(net.serverPlayer.movementInfo.currentModeMode, MoveMode.walking);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,192 @@
+import { createCanvas } from "./browser";
+import Vec2 from "../src/algebra/vec2";
+import Scene from "../src/core/scene";
+import Polygon from "../src/core/geom/polygon";
+import Player from "../src/core/player";
+import Client from "../src/core/client";
+import Server from "../src/core/server";
+import InputSystem from "../src/core/input/inputSystem";
+import Instance from "../src/core/instance";
+import Animator from "../src/core/anim/animator";
+
+const FRAME_TIME = 1 / 60;
+
+/**
+ * @param {number[][]} points polygon points as [x, y]
+ * @return {Vec2[]}
+ */
+function toVec2s(points) {
+    return points.map(([x, y]) => new Vec2(x, y));
+}
+
+/**
+ * @param {number[][][]} [polygons] polygons of scene besides bound, points as [x, y] in clockwise order
+ * @return {Scene} scene of demo size
+ */
+function createScene(polygons = []) {
+    const scene = new Scene(600, 500);
+    for (let points of polygons) {
+        scene.addPolygon(new Polygon(toVec2s(points)));
+    }
+    return scene;
+}
+
+/**
+ * @param {number} [floorY]
+ * @return {Scene} scene with a flat floor
+ */
+function createFlatScene(floorY = 400) {
+    return createScene([[[0, floorY], [600, floorY], [600, 500], [0, 500]]]);
+}
+
+/**
+ * @param {Scene} scene
+ * @param {Vec2} pos
+ * @return {Player} player moving by itself, not in net mode
+ */
+function createPlayer(scene, pos) {
+    const player = new Player(pos, "#ffffff", 1);
+    player.scene = scene;
+    player.isMainPlayer = true;
+    return player;
+}
+
+/**
+ * update scene and player like `Instance.update`
+ * @param {Player} player
+ * @param {number} frames
+ * @param {Vec2 | ((frame: number) => Vec2)} [input] movement input of each frame
+ * @param {(frame: number) => void} [beforeFrame] called before each frame, to press buttons
+ */
+function runFrames(player, frames, input = new Vec2(), beforeFrame = null) {
+    const scene = player.scene;
+    for (let i = 0; i < frames; i++) {
+        if (beforeFrame) {
+            beforeFrame(i);
+        }
+        scene.setTime(scene.time + FRAME_TIME);
+        scene.updateProps(FRAME_TIME);
+        player.addMovement(typeof input == "function" ? input(i) : input);
+        player.update(FRAME_TIME);
+    }
+}
+
+/**
+ * @param {Player} player
+ * @param {string} type one of `MoveEvent`
+ * @return {import("../src/core/player").MoveEventData[]} events emitted from now on
+ */
+function recordEvents(player, type) {
+    const events = [];
+    player.on(type, event => events.push(event));
+    return events;
+}
+
+/**
+ * @param {Instance} instance
+ * @param {Scene} scene
+ */
+function useScene(instance, scene) {
+    instance.scene = scene;
+    for (let player of instance.players) {
+        player.scene = scene;
+    }
+}
+
+/**
+ * a client connected to a server over lagging channels, without loss and lag variance
+ * @param {Vec2} pos start position of client player
+ * @param {() => Scene} [buildScene] scene of client and server, demo level if not given
+ * @param {number} [lag] milliseconds of each direction
+ */
+function createNet(pos, buildScene = null, lag = 100) {
+    /** @type {Object<string, boolean>} */
+    const keys = {};
+    const input = new InputSystem(keys);
+    input.setAxis("KeyW", "KeyS", "KeyD", "KeyA");
+    input.setAction("jump", "Space");
+    input.setAction("crouch", "KeyC");
+    input.setAction("dash", "ShiftLeft");
+    const player = new Player(pos, "#ffffff", 0);
+    player.animator = new Animator();
+    const client = new Client(createCanvas(), player, input);
+    const server = new Server(createCanvas());
+    if (buildScene) {
+        useScene(client, buildScene());
+        useScene(server, buildScene());
+    }
+    client.setLag(lag);
+    client.connect(server);
+    /** @type {(moveMsg: import("../src/core/player").MoveMsg) => void} changes moves sent to server */
+    let forge = null;
+    const sendChannel = client.sendChannel;
+    const push = sendChannel.push;
+    sendChannel.push = (time, moveMsg) => {
+        if (forge) {
+            // history of client keeps the original move
+            moveMsg = Object.assign({}, moveMsg, { moveState: Object.assign({}, moveMsg.moveState) });
+            forge(moveMsg);
+        }
+        push.call(sendChannel, time, moveMsg);
+    };
+    let corrections = 0;
+    /** @type {Map<number, Vec2>} position of client player after each move by sequence */
+    const clientPositions = new Map();
+    const reconciliation = player.reconciliation;
+    player.reconciliation = function() {
+        corrections++;
+        reconciliation.call(this);
+    };
+    return {
+        keys: keys,
+        client: client,
+        server: server,
+        player: player,
+        /** @return {Player} */
+        get serverPlayer() {
+            return server.players[0];
+        },
+        /** @param {(moveMsg: import("../src/core/player").MoveMsg) => void} forgeMove changes moves sent to server */
+        set forge(forgeMove) {
+            forge = forgeMove;
+        },
+        /** @return {number} times client was corrected */
+        get corrections() {
+            return corrections;
+        },
+        /** @return {number} distance between server player and client player after the same move */
+        get serverError() {
+            const serverPlayer = server.players[0];
+            return serverPlayer.pos.sub(clientPositions.get(serverPlayer.lastReceiveSequence)).length();
+        },
+        /**
+         * @param {number} [frames]
+         * @param {(frame: number) => void} [beforeFrame] called before each frame, to press keys
+         */
+        run(frames = 1, beforeFrame = null) {
+            for (let i = 0; i < frames; i++) {
+                if (beforeFrame) {
+                    beforeFrame(i);
+                }
+                client.currentTime += FRAME_TIME * 1000;
+                client.update(FRAME_TIME);
+                clientPositions.set(player.sequence - 1, player.pos);
+                server.currentTime += FRAME_TIME * 1000;
+                server.update(FRAME_TIME);
+            }
+        },
+    };
+}
+
+export {
+    FRAME_TIME,
+    toVec2s,
+    createCanvas,
+    createScene,
+    createFlatScene,
+    createPlayer,
+    runFrames,
+    recordEvents,
+    useScene,
+    createNet,
+};
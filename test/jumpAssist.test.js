@@ -0,0 +1,114 @@
+import { createScene, createFlatScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode, Role } from "../src/core/player";
+
+// floor ends at x 300, lower floor far below
+const buildCliffScene = () => createScene([
+    [[0, 300], [300, 300], [300, 500], [0, 500]],
+    [[300, 480], [600, 480], [600, 500], [300, 500]],
+]);
+
+/**
+ * @param {number} jumpFrame frames after walking off the cliff to press jump
+ * @return {number} jump count after the press
+ */
+const jumpAfterWalkingOff = (jumpFrame) => {
+    const player = createPlayer(buildCliffScene(), new Vec2(250, 200));
+    player.movementConfig.maxJumpCount = 2;
+    runFrames(player, 60);
+    let offFrame = -1;
+    player.on(MoveEvent.walkedOffLedge, () => offFrame = 0);
+    runFrames(player, 60, new Vec2(1, 0), () => {
+        if (offFrame >= 0 && offFrame++ == jumpFrame) {
+            player.jump();
+        }
+    });
+    return player.movementInfo.jumpCount;
+};
+
+test("jump as on floor shortly after walking off a ledge", () => {
+    assert.strictEqual(jumpAfterWalkingOff(2), 1);
+    // coyote time is over, it is an air jump
+    assert.strictEqual(jumpAfterWalkingOff(12), 2);
+});
+
+test("press before landing jumps when landed", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 100));
+    // use up the air jump
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    player.stopJumping();
+    const landed = recordEvents(player, MoveEvent.landed);
+    const jumps = recordEvents(player, MoveEvent.jumped);
+    let frame = 0;
+    while (landed.length == 0 && frame++ < 120) {
+        const lastVelocity = player.velocity.clone();
+        runFrames(player, 1);
+        // press a few frames before landing
+        if (lastVelocity.y > 0 && player.pos.y > 330) {
+            player.jump();
+        }
+    }
+    runFrames(player, 1);
+    assert.strictEqual(landed.length, 1);
+    assert.strictEqual(jumps.length, 1);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.strictEqual(player.movementInfo.jumpBufferTimer, 0);
+});
+
+test("server buffers jump press itself", () => {
+    const net = createNet(new Vec2(300, 100), createFlatScene, 50);
+    const serverJumps = recordEvents(net.serverPlayer, MoveEvent.jumped);
+    // use up the air jump
+    net.run(2, (frame) => net.keys["Space"] = frame == 0);
+    let pressed = false;
+    net.run(120, () => {
+        net.keys["Space"] = !pressed && net.player.velocity.y > 0 && net.player.pos.y > 330;
+        pressed = pressed || net.keys["Space"];
+    });
+    assert.ok(pressed);
+    assert.strictEqual(serverJumps.length, 2);
+    assert.strictEqual(net.corrections, 0);
+});
+
+test("replayed jump buffer is kept after reconciliation", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 200));
+    player.role = Role.autonomous;
+    player.isNetMode = true;
+    // use up the air jump
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    player.stopJumping();
+    while (player.velocity.y <= 0 || player.pos.y < 280) {
+        runFrames(player, 1);
+    }
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    const history = player.historyMoveMsgs;
+    const correctedMsg = history[history.length - 1];
+    assert.ok(correctedMsg.jumpBufferTimer > 0);
+    runFrames(player, 2);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    // server says player was close to floor, so replay lands and jumps with the buffered press
+    const replayJumps = recordEvents(player, MoveEvent.jumped);
+    player.onMainPlayerReceiveServerMove(Object.assign({}, correctedMsg, {
+        pos: new Vec2(correctedMsg.pos.x, 366),
+    }));
+    player.reconciliation();
+    assert.strictEqual(replayJumps.length, 1);
+    assert.strictEqual(player.movementInfo.jumpBufferTimer, 0);
+});
+
+test("jump pressed before reconciliation is not lost", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    player.role = Role.autonomous;
+    player.isNetMode = true;
+    runFrames(player, 60);
+    const lastMsg = player.historyMoveMsgs[player.historyMoveMsgs.length - 3];
+    player.onMainPlayerReceiveServerMove(Object.assign({}, lastMsg, {
+        pos: lastMsg.pos.add(new Vec2(30, 0)),
+    }));
+    const jumps = recordEvents(player, MoveEvent.jumped);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(jumps.length, 1);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+});
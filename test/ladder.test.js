@@ -0,0 +1,73 @@
+import { createScene, createPlayer, runFrames, recordEvents, createNet, toVec2s, FRAME_TIME } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { LadderVolume } from "../src/core/geom/volume";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @return {import("../src/core/scene").default} scene with a ladder from floor at y 480 up to y 200
+ */
+const buildLadderScene = () => {
+    const scene = createScene([[[0, 480], [600, 480], [600, 500], [0, 500]]]);
+    scene.addVolume(new LadderVolume(toVec2s([[280, 200], [320, 200], [320, 480], [280, 480]])));
+    return scene;
+};
+
+/**
+ * @return {import("../src/core/player").default} player climbing the ladder
+ */
+const climbLadder = () => {
+    const player = createPlayer(buildLadderScene(), new Vec2(290, 440));
+    runFrames(player, 30);
+    runFrames(player, 30, new Vec2(0, -1));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.climbing);
+    return player;
+};
+
+test("climb up ladder without gravity and stop at its top", () => {
+    const player = climbLadder();
+    assert.strictEqual(player.pos.x, 300);
+    const y = player.pos.y;
+    runFrames(player, 1, new Vec2(0, -1));
+    assert.ok(Math.abs(y - player.pos.y - player.movementConfig.climbSpeed * FRAME_TIME) < 1e-6);
+    // hold on ladder without input
+    runFrames(player, 30);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.climbing);
+    assert.ok(Math.abs(y - player.pos.y - player.movementConfig.climbSpeed * FRAME_TIME) < 1e-6);
+    runFrames(player, 300, new Vec2(0, -1));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.climbing);
+    assert.strictEqual(player.pos.y, 200);
+});
+
+test("climb down ladder to floor and walk", () => {
+    const player = climbLadder();
+    runFrames(player, 120, new Vec2(0, 1));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+});
+
+test("step off ladder sideways or jump off it", () => {
+    const stepping = climbLadder();
+    runFrames(stepping, 1, new Vec2(1, 0));
+    assert.strictEqual(stepping.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(stepping.velocity.x > 0);
+
+    const jumping = climbLadder();
+    const jumps = recordEvents(jumping, MoveEvent.jumped);
+    runFrames(jumping, 1, new Vec2(), () => jumping.jump());
+    assert.strictEqual(jumps.length, 1);
+    assert.strictEqual(jumping.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(jumping.velocity.y < 0);
+});
+
+test("climbing agrees with server", () => {
+    const net = createNet(new Vec2(290, 440), buildLadderScene);
+    net.run(30);
+    net.run(60, () => net.keys["KeyW"] = true);
+    net.run(30, () => net.keys["KeyW"] = false);
+    net.run(120, () => net.keys["KeyS"] = true);
+    net.run(30, () => net.keys["KeyS"] = false);
+    assert.strictEqual(net.serverPlayer.movementInfo.currentModeMode, MoveMode.walking);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,76 @@
+import { createFlatScene, createPlayer, runFrames, createNet, FRAME_TIME } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+
+test("launch replaces velocity and leaves floor", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    player.setVelocity(new Vec2(100, 0));
+    player.launch(new Vec2(0, -500), false, true);
+    runFrames(player, 1);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.velocity.y < -400);
+    assert.ok(player.velocity.x > 0);
+});
+
+test("impulses of a move are accumulated and divided by mass", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 100));
+    player.movementConfig.mass = 2;
+    player.addImpulse(new Vec2(200, 0));
+    player.addImpulse(new Vec2(100, 0), true);
+    runFrames(player, 1);
+    assert.ok(Math.abs(player.velocity.x - 200) < 1e-6);
+    runFrames(player, 1);
+    assert.ok(Math.abs(player.velocity.x - 200) < 1e-6);
+});
+
+test("server ignores launches and impulses sent by client", () => {
+    const net = createNet(new Vec2(300, 300), createFlatScene, 50);
+    net.run(60);
+    const floorY = net.serverPlayer.pos.y;
+    net.forge = (moveMsg) => Object.assign(moveMsg.moveState, {
+        pendingLaunchVelocity: new Vec2(0, -1000),
+        pendingImpulse: new Vec2(500, 0),
+    });
+    net.run(30);
+    assert.strictEqual(net.serverPlayer.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(net.serverPlayer.pos.y - floorY) < 1e-6);
+    assert.ok(Math.abs(net.serverPlayer.pos.x - 300) < 1e-6);
+});
+
+test("impulse added by both client and server on the same move is applied once", () => {
+    const net = createNet(new Vec2(300, 300), createFlatScene, 50);
+    net.run(60);
+    const impulse = new Vec2(0, -400);
+    net.player.addImpulse(impulse);
+    net.run(1);
+    const sequence = net.player.sequence - 1;
+    const serverPlayer = net.serverPlayer;
+    const serverMove = serverPlayer.serverMove;
+    let serverVelocity = null;
+    serverPlayer.serverMove = function(moveMsg) {
+        if (moveMsg.sequence == sequence) {
+            this.addImpulse(impulse);
+        }
+        serverMove.call(this, moveMsg);
+        if (moveMsg.sequence == sequence) {
+            serverVelocity = this.velocity;
+        }
+    };
+    net.run(60);
+    assert.ok(serverVelocity && Math.abs(serverVelocity.y - (impulse.y + 980 * FRAME_TIME)) < 20);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
+
+test("client is corrected by launch of server", () => {
+    const net = createNet(new Vec2(300, 300), createFlatScene, 50);
+    net.run(60);
+    net.serverPlayer.launch(new Vec2(200, -300));
+    net.run(60);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+    assert.ok(net.player.pos.x > 350);
+});
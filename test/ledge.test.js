@@ -0,0 +1,69 @@
+import { createScene, createPlayer, runFrames, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+import { LadderVolume } from "../src/core/geom/volume";
+
+// block on the right with its top at y 300
+const buildLedgeScene = () => createScene([
+    [[400, 300], [600, 300], [600, 500], [400, 500]],
+    [[0, 480], [400, 480], [400, 500], [0, 500]],
+]);
+
+/**
+ * @return {import("../src/core/player").default} player hanging on the ledge of block
+ */
+const hangOnLedge = () => {
+    const player = createPlayer(buildLedgeScene(), new Vec2(386, 290));
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.hanging);
+    return player;
+};
+
+test("grab ledge when falling along wall, then mantle onto it", () => {
+    const player = hangOnLedge();
+    const halfHeight = player.capsule.halfHeight;
+    assert.ok(Math.abs(player.pos.y - (300 + halfHeight)) < 1e-6);
+    runFrames(player, 10);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.hanging);
+    runFrames(player, 30, new Vec2(0, -1));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.x > 400);
+    assert.ok(Math.abs(player.pos.y + halfHeight + player.capsule.radius - 300) < 3);
+});
+
+test("press down to drop from ledge", () => {
+    const player = hangOnLedge();
+    runFrames(player, 60, new Vec2(0, 1));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.y > 400);
+});
+
+test("zero time step does not move mantling, climbing or sliding player", () => {
+    const mantling = hangOnLedge();
+    runFrames(mantling, 5, new Vec2(0, -1));
+    assert.strictEqual(mantling.movementInfo.currentModeMode, MoveMode.mantling);
+
+    const ladderScene = createScene([[[0, 480], [600, 480], [600, 500], [0, 500]]]);
+    ladderScene.addVolume(new LadderVolume(toVec2s([[280, 200], [320, 200], [320, 480], [280, 480]])));
+    const climbing = createPlayer(ladderScene, new Vec2(300, 440));
+    runFrames(climbing, 30, new Vec2(0, -1));
+    assert.strictEqual(climbing.movementInfo.currentModeMode, MoveMode.climbing);
+
+    // slope steeper than walkable floor
+    const sliding = createPlayer(createScene([[[100, 200], [300, 480], [100, 480]]]), new Vec2(180, 200));
+    let frame = 0;
+    while (sliding.movementInfo.currentModeMode != MoveMode.sliding && frame++ < 60) {
+        runFrames(sliding, 1);
+    }
+    assert.strictEqual(sliding.movementInfo.currentModeMode, MoveMode.sliding);
+
+    for (let player of [mantling, climbing, sliding]) {
+        const pos = player.pos;
+        const velocity = player.velocity;
+        player.startNewPhysics(0);
+        assert.deepStrictEqual(player.pos, pos);
+        assert.deepStrictEqual(player.velocity, velocity);
+    }
+});
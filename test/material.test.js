@@ -0,0 +1,71 @@
+import { createScene, createPlayer, runFrames, recordEvents, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import Polygon, { CollisionType } from "../src/core/geom/polygon";
+import PhysicalMaterial from "../src/core/geom/physicalMaterial";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @param {PhysicalMaterial} material
+ * @return {import("../src/core/scene").default} scene with a flat floor of material at y 400
+ */
+const buildMaterialScene = (material) => {
+    const scene = createScene();
+    scene.addPolygon(new Polygon(toVec2s([[0, 400], [600, 400], [600, 500], [0, 500]]), "#FFFFFF", CollisionType.block, material));
+    return scene;
+};
+
+/**
+ * @param {PhysicalMaterial} material
+ * @return {number} distance walked after releasing input until stop
+ */
+const brakingDistance = (material) => {
+    const player = createPlayer(buildMaterialScene(material), new Vec2(50, 300));
+    runFrames(player, 30);
+    runFrames(player, 60, new Vec2(1, 0));
+    const startX = player.pos.x;
+    let frame = 0;
+    while (player.velocity.x != 0 && frame++ < 600) {
+        runFrames(player, 1);
+    }
+    return player.pos.x - startX;
+};
+
+test("slide farther on ice before stopping", () => {
+    const normal = brakingDistance(PhysicalMaterial.default);
+    const ice = brakingDistance(new PhysicalMaterial(0.1, 0.1));
+    assert.ok(normal > 0);
+    assert.ok(ice > normal * 3);
+});
+
+test("bounce off bouncy floor instead of landing", () => {
+    const player = createPlayer(buildMaterialScene(new PhysicalMaterial(1, 1, 0.8)), new Vec2(300, 100));
+    const landed = recordEvents(player, MoveEvent.landed);
+    let maxFallSpeed = 0;
+    while (player.velocity.y >= 0 && maxFallSpeed < 2000) {
+        runFrames(player, 1);
+        maxFallSpeed = Math.max(maxFallSpeed, player.velocity.y);
+    }
+    assert.strictEqual(landed.length, 0);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.velocity.y < -maxFallSpeed * 0.5);
+});
+
+test("segment material overrides walkable floor angle", () => {
+    // 55 degree slope, steeper than walkable floor angle of player
+    const slope = [[0, 200], [100, 200], [240, 400], [600, 400], [600, 500], [0, 500]];
+    const steepScene = createScene([slope]);
+    const sliding = createPlayer(steepScene, new Vec2(150, 200));
+    runFrames(sliding, 30);
+    assert.strictEqual(sliding.movementInfo.currentModeMode, MoveMode.sliding);
+
+    const grippyScene = createScene([slope]);
+    grippyScene.polygons[grippyScene.polygons.length - 1].setSegmentMaterial(1, new PhysicalMaterial(1, 1, 0, Math.PI * 60 / 180));
+    const standing = createPlayer(grippyScene, new Vec2(150, 200));
+    runFrames(standing, 30);
+    const pos = standing.pos;
+    assert.strictEqual(standing.movementInfo.currentModeMode, MoveMode.walking);
+    runFrames(standing, 30);
+    assert.ok(standing.pos.sub(pos).length() < 1e-3);
+});
@@ -0,0 +1,96 @@
+import { createFlatScene, createPlayer, runFrames } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import Player, { MoveMode, Role } from "../src/core/player";
+
+/**
+ * register a gliding mode recording its hooks, unregister it after the test
+ * @param {any} t test context
+ * @return {string[]} hooks called, as "enter lastMode" or "exit nextMode"
+ */
+const registerGliding = (t) => {
+    const calls = [];
+    Player.moveModes.register({
+        name: "gliding",
+        id: 100,
+        phys: (player) => player.velocity = new Vec2(),
+        onEnter: (player, lastMode) => calls.push("enter " + lastMode),
+        onExit: (player, nextMode) => calls.push("exit " + nextMode),
+        saveState: (player) => ({ glideTime: 1 }),
+        restoreState: (player, state) => calls.push("restore " + state.glideTime),
+    });
+    t.after(() => Player.moveModes.unregister(100));
+    return calls;
+};
+
+/**
+ * @return {Player} autonomous player in net mode, standing on floor with moves waiting for server
+ */
+const createPredictingPlayer = () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    player.role = Role.autonomous;
+    player.isNetMode = true;
+    runFrames(player, 60);
+    return player;
+};
+
+test("registry rejects conflicting ids and names", (t) => {
+    t.mock.method(console, "warn", () => {});
+    registerGliding(t);
+    assert.strictEqual(Player.moveModes.getByName("gliding").id, 100);
+    assert.strictEqual(Player.moveModes.register({ name: "soaring", id: 100, phys: () => {} }), false);
+    assert.strictEqual(Player.moveModes.register({ name: "gliding", id: 101, phys: () => {} }), false);
+    assert.strictEqual(Player.moveModes.register({ name: "walking", id: 102, phys: () => {} }), false);
+});
+
+test("custom mode runs its phys and hooks", (t) => {
+    const calls = registerGliding(t);
+    const player = createPlayer(createFlatScene(), new Vec2(300, 200));
+    runFrames(player, 1);
+    player.setMoveMode(100);
+    const glidePos = player.pos;
+    runFrames(player, 10);
+    assert.deepStrictEqual(player.pos, glidePos);
+    assert.ok(player.velocity.isZero());
+    player.setMoveMode(MoveMode.falling);
+    assert.deepStrictEqual(calls, ["enter " + MoveMode.falling, "exit " + MoveMode.falling]);
+});
+
+test("correction switches move mode through its hooks", (t) => {
+    const calls = registerGliding(t);
+    const player = createPredictingPlayer();
+    const lastMsg = player.historyMoveMsgs[player.historyMoveMsgs.length - 1];
+    player.onMainPlayerReceiveServerMove(Object.assign({}, lastMsg, {
+        pos: lastMsg.pos.sub(new Vec2(0, 50)),
+        moveMode: 100,
+        modeState: { glideTime: 1 },
+    }));
+    assert.ok(player.needReconciliation);
+    assert.strictEqual(player.movementInfo.currentModeMode, 100);
+    assert.deepStrictEqual(calls, ["enter " + MoveMode.walking, "restore 1"]);
+});
+
+test("different move mode or mode state at same position is corrected", (t) => {
+    const calls = registerGliding(t);
+    const player = createPredictingPlayer();
+    const lastMsg = player.historyMoveMsgs[player.historyMoveMsgs.length - 1];
+    player.onMainPlayerReceiveServerMove(Object.assign({}, lastMsg, {
+        moveMode: 100,
+        modeState: { glideTime: 1 },
+    }));
+    assert.ok(player.needReconciliation);
+    assert.strictEqual(player.movementInfo.currentModeMode, 100);
+
+    // same custom mode, but server saved another state
+    player.needReconciliation = false;
+    player.update(1 / 60);
+    const glideMsg = player.historyMoveMsgs[player.historyMoveMsgs.length - 1];
+    assert.strictEqual(glideMsg.moveMode, 100);
+    calls.length = 0;
+    player.onMainPlayerReceiveServerMove(Object.assign({}, glideMsg, {
+        modeState: { glideTime: 2 },
+    }));
+    assert.ok(player.needReconciliation);
+    assert.deepStrictEqual(calls, ["restore 2"]);
+});
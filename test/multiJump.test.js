@@ -0,0 +1,81 @@
+import { createFlatScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+const buildHighScene = () => createFlatScene(480);
+
+test("jump only from floor by default", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    const jumps = recordEvents(player, MoveEvent.jumped);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    player.stopJumping();
+    runFrames(player, 10);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(jumps.length, 1);
+    assert.strictEqual(player.movementInfo.jumpCount, 1);
+});
+
+test("jump from floor, then jump in air until jump count is used up", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 300));
+    player.movementConfig.maxJumpCount = 2;
+    runFrames(player, 60);
+    const jumps = recordEvents(player, MoveEvent.jumped);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    // gravity of the same move is applied after jumping
+    assert.ok(Math.abs(player.velocity.y + player.movementConfig.jumpVelocity) < 10);
+    player.stopJumping();
+    runFrames(player, 10);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.ok(Math.abs(player.velocity.y + player.movementConfig.airJumpVelocity) < 10);
+    assert.strictEqual(player.movementInfo.jumpCount, 2);
+    player.stopJumping();
+    runFrames(player, 5);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(jumps.length, 2);
+    assert.ok(player.velocity.y > -player.movementConfig.airJumpVelocity);
+});
+
+test("air jump is held shorter than floor jump", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 100));
+    player.movementConfig.maxJumpCount = 2;
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    const holdFrames = Math.ceil(player.movementConfig.maxAirJumpHoldTime * 60);
+    runFrames(player, holdFrames);
+    assert.strictEqual(player.movementInfo.jumpCount, 2);
+    assert.ok(!player.movementInfo.pressedJump);
+});
+
+test("server ignores jump counters sent by client", () => {
+    const net = createNet(new Vec2(300, 50), buildHighScene, 0);
+    net.run(5);
+    const serverJumps = recordEvents(net.serverPlayer, MoveEvent.jumped);
+    net.forge = (moveMsg) => Object.assign(moveMsg.moveState, {
+        pressedJump: true,
+        jumpHoldTime: 0,
+        jumpCount: 0,
+        coyoteTimer: 1,
+        jumpBufferTimer: 0,
+    });
+    net.run(60, (frame) => net.keys["Space"] = frame % 2 == 0);
+    assert.strictEqual(serverJumps.length, 1);
+    assert.strictEqual(net.serverPlayer.movementInfo.jumpCount, 2);
+});
+
+test("client is corrected by jump counters of server", () => {
+    const net = createNet(new Vec2(300, 50), buildHighScene, 50);
+    net.run(5);
+    net.run(2, (frame) => net.keys["Space"] = frame == 0);
+    net.run(20);
+    assert.strictEqual(net.player.movementInfo.jumpCount, 2);
+    // client thinks it has an air jump left, server does not
+    net.player.movementInfo.jumpCount = 1;
+    net.run(2, (frame) => net.keys["Space"] = frame == 0);
+    net.run(30);
+    assert.ok(net.corrections > 0);
+    assert.strictEqual(net.player.movementInfo.jumpCount, 2);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,103 @@
+import { createScene, createPlayer, runFrames, createNet, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import Polygon, { CollisionType } from "../src/core/geom/polygon";
+import { MoveMode } from "../src/core/player";
+
+/**
+ * @return {import("../src/core/scene").default} scene with a one-way platform at y 430 above floor at y 480
+ */
+const buildOneWayScene = () => {
+    const scene = createScene([[[0, 480], [600, 480], [600, 500], [0, 500]]]);
+    scene.addPolygon(new Polygon(toVec2s([[200, 430], [400, 430], [400, 440], [200, 440]]), "#FFFFFF", CollisionType.oneWay));
+    return scene;
+};
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number} y of capsule bottom
+ */
+const feetY = (player) => player.pos.y + player.capsule.halfHeight + player.capsule.radius;
+
+test("land on one-way platform from above", () => {
+    const player = createPlayer(buildOneWayScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(feetY(player) - 430) < 3);
+});
+
+test("jump up through one-way platform from below", () => {
+    const player = createPlayer(buildOneWayScene(), new Vec2(180, 400));
+    runFrames(player, 60);
+    assert.ok(Math.abs(feetY(player) - 480) < 3);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    runFrames(player, 20, new Vec2(1, 0));
+    runFrames(player, 120);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(feetY(player) - 430) < 3);
+});
+
+test("hold down and jump to drop through one-way platform", () => {
+    const player = createPlayer(buildOneWayScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    runFrames(player, 1, new Vec2(0, 1), () => player.jump());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.velocity.y >= 0);
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(feetY(player) - 480) < 3);
+});
+
+test("drop through agrees with server", () => {
+    const net = createNet(new Vec2(300, 300), buildOneWayScene);
+    net.run(60);
+    net.run(2, (frame) => {
+        net.keys["KeyS"] = true;
+        net.keys["Space"] = frame == 0;
+    });
+    net.run(60, () => net.keys["KeyS"] = false);
+    assert.ok(Math.abs(feetY(net.serverPlayer) - 480) < 3);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
+
+/**
+ * @return {import("../src/core/scene").default} scene of reversed gravity with a one-way platform at y 200 and ceiling at y 50
+ */
+const buildReversedOneWayScene = () => {
+    const scene = createScene([[[0, 40], [600, 40], [600, 50], [0, 50]]]);
+    scene.addPolygon(new Polygon(toVec2s([[200, 200], [400, 200], [400, 210], [200, 210]]), "#FFFFFF", CollisionType.oneWay));
+    scene.gravity = new Vec2(0, -980);
+    return scene;
+};
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number} y of capsule top, its feet in reversed gravity
+ */
+const headY = (player) => player.pos.y - player.capsule.halfHeight - player.capsule.radius;
+
+test("land under one-way platform in reversed gravity", () => {
+    const player = createPlayer(buildReversedOneWayScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(headY(player) - 210) < 3);
+});
+
+test("fall through one-way platform from its top in reversed gravity", () => {
+    const player = createPlayer(buildReversedOneWayScene(), new Vec2(300, 160));
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(headY(player) - 50) < 3);
+});
+
+test("hold toward floor and jump to drop through one-way platform in reversed gravity", () => {
+    const player = createPlayer(buildReversedOneWayScene(), new Vec2(300, 300));
+    runFrames(player, 60);
+    runFrames(player, 1, new Vec2(0, -1), () => player.jump());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(headY(player) - 50) < 3);
+});
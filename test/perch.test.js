@@ -0,0 +1,109 @@
+import { createScene, createPlayer, runFrames, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @param {number} [lowerFloorY] y of floor right of the ledge, bottom of scene if not given
+ * @return {import("../src/core/scene").default} scene with a ledge at x 300 on floor at y 400
+ */
+const buildLedgeScene = (lowerFloorY = 500) => {
+    const polygons = [[[0, 400], [300, 400], [300, 500], [0, 500]]];
+    if (lowerFloorY < 500) {
+        polygons.push([[300, lowerFloorY], [600, lowerFloorY], [600, 500], [300, 500]]);
+    }
+    return createScene(polygons);
+};
+
+/**
+ * walk slowly right to the ledge
+ * @param {(player: import("../src/core/player").default) => void} configure
+ * @param {number} [lowerFloorY]
+ * @return {{player: import("../src/core/player").default, walkedOffX: number}} walkedOffX is null if never walked off
+ */
+const walkToLedge = (configure, lowerFloorY = 500) => {
+    const player = createPlayer(buildLedgeScene(lowerFloorY), new Vec2(280, 300));
+    player.maxSpeed = 30;
+    configure(player);
+    let walkedOffX = null;
+    player.on(MoveEvent.walkedOffLedge, () => walkedOffX = player.pos.x);
+    runFrames(player, 30);
+    runFrames(player, 240, new Vec2(1, 0));
+    return {
+        player: player,
+        walkedOffX: walkedOffX,
+    };
+};
+
+/**
+ * @param {(player: import("../src/core/player").default) => void} configure
+ * @param {number} [lowerFloorY]
+ * @return {number} x of capsule center when walking off the ledge
+ */
+const walkOffX = (configure, lowerFloorY = 500) => {
+    const { walkedOffX } = walkToLedge(configure, lowerFloorY);
+    assert.notStrictEqual(walkedOffX, null);
+    return walkedOffX;
+};
+
+test("perch on edge until edge tolerance by default", () => {
+    const x = walkOffX(() => {});
+    const radius = 12;
+    assert.ok(Math.abs(x - (300 + radius)) < 0.5);
+});
+
+test("walk off earlier with perch radius threshold", () => {
+    const x = walkOffX((player) => player.movementConfig.perchRadiusThreshold = 6);
+    assert.ok(x > 305 && x < 307);
+});
+
+test("perch with threshold when floor below is within additional height", () => {
+    const configure = (player) => player.movementConfig.perchRadiusThreshold = 6;
+    const near = walkOffX(configure, 430);
+    const far = walkOffX(configure, 470);
+    assert.ok(near > 311);
+    assert.ok(far < 307);
+    const noAdditional = walkOffX((player) => {
+        configure(player);
+        player.movementConfig.perchAdditionalHeight = 0;
+    }, 430);
+    assert.ok(noAdditional < 307);
+});
+
+test("stop at ledge when can not walk off", () => {
+    const { player, walkedOffX } = walkToLedge((player) => player.movementConfig.canWalkOffLedges = false);
+    assert.strictEqual(walkedOffX, null);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.x > 305 && player.pos.x < 312.5);
+    // rounded bottom rests on the edge
+    const pos = player.pos;
+    runFrames(player, 30, new Vec2(1, 0));
+    assert.deepStrictEqual(player.pos, pos);
+});
+
+test("stop at ledge only when crouching", () => {
+    const configure = (player) => player.movementConfig.canWalkOffLedgesWhenCrouching = false;
+    const standing = walkToLedge(configure);
+    assert.notStrictEqual(standing.walkedOffX, null);
+    const crouching = walkToLedge((player) => {
+        configure(player);
+        player.crouch();
+    });
+    assert.strictEqual(crouching.walkedOffX, null);
+    assert.strictEqual(crouching.player.movementInfo.currentModeMode, MoveMode.walking);
+});
+
+test("stopping at ledge agrees with server", () => {
+    const net = createNet(new Vec2(280, 300), buildLedgeScene);
+    net.run(1);
+    net.player.movementConfig.canWalkOffLedges = false;
+    net.serverPlayer.movementConfig.canWalkOffLedges = false;
+    net.run(30);
+    net.run(60, () => net.keys["KeyD"] = true);
+    net.run(30, () => net.keys["KeyD"] = false);
+    assert.strictEqual(net.serverPlayer.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(net.serverPlayer.pos.x < 312.5);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,71 @@
+import { createScene, createPlayer, runFrames, createNet, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import KinematicPolygon from "../src/core/geom/kinematicPolygon";
+import { MoveMode } from "../src/core/player";
+
+/**
+ * @return {import("../src/core/scene").default} scene with a platform moving right at speed 60 from x 150 to 400
+ */
+const buildPlatformScene = () => {
+    const scene = createScene([[[0, 480], [600, 480], [600, 500], [0, 500]]]);
+    scene.addPolygon(new KinematicPolygon(toVec2s([[100, 300], [200, 300], [200, 310], [100, 310]]), "#7B90D2",
+        [new Vec2(150, 305), new Vec2(400, 305)], 60));
+    return scene;
+};
+
+/**
+ * @param {import("../src/core/scene").default} scene
+ * @return {KinematicPolygon}
+ */
+const getPlatform = (scene) => /** @type {KinematicPolygon} */ (scene.polygons[scene.polygons.length - 1]);
+
+test("stand on moving platform and move with it", () => {
+    const scene = buildPlatformScene();
+    const platform = getPlatform(scene);
+    const player = createPlayer(scene, new Vec2(150, 250));
+    runFrames(player, 30);
+    assert.strictEqual(player.movementInfo.basePolygon, platform);
+    const offset = player.pos.sub(platform.getPose(scene.time).position);
+    runFrames(player, 120);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    const newOffset = player.pos.sub(platform.getPose(scene.time).position);
+    assert.ok(newOffset.sub(offset).length() < 0.1);
+});
+
+test("stand on rotating platform and turn with it", () => {
+    const scene = createScene([[[0, 480], [600, 480], [600, 500], [0, 500]]]);
+    const platform = new KinematicPolygon(toVec2s([[200, 300], [400, 300], [400, 310], [200, 310]]), "#7B90D2", [], 0, 0.2);
+    scene.addPolygon(platform);
+    const player = createPlayer(scene, new Vec2(350, 250));
+    runFrames(player, 30);
+    assert.strictEqual(player.movementInfo.basePolygon, platform);
+    const startPose = platform.getPose(scene.time);
+    const offset = player.pos.sub(startPose.position);
+    runFrames(player, 30);
+    const pose = platform.getPose(scene.time);
+    const angle = pose.angle - startPose.angle;
+    const rotated = new Vec2(offset.x * Math.cos(angle) - offset.y * Math.sin(angle),
+        offset.x * Math.sin(angle) + offset.y * Math.cos(angle));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.sub(pose.position).sub(rotated).length() < 0.1);
+});
+
+test("keep velocity of platform when jumping off", () => {
+    const scene = buildPlatformScene();
+    const player = createPlayer(scene, new Vec2(150, 250));
+    runFrames(player, 60);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(player.movementInfo.basePolygon, null);
+    assert.ok(Math.abs(player.velocity.x - 60) < 1e-3);
+});
+
+test("riding platform agrees with server", () => {
+    const net = createNet(new Vec2(150, 250), buildPlatformScene);
+    net.run(120);
+    net.run(30, () => net.keys["KeyA"] = true);
+    net.run(60, () => net.keys["KeyA"] = false);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
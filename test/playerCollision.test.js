@@ -0,0 +1,64 @@
+import { createFlatScene, createPlayer, runFrames } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+
+/**
+ * @param {boolean} collision
+ * @return {import("../src/core/player").default[]} a walking player and another one standing at x 300
+ */
+const createTwoPlayers = (collision) => {
+    const scene = createFlatScene();
+    const standing = createPlayer(scene, new Vec2(300, 370.85));
+    const walking = createPlayer(scene, new Vec2(200, 300));
+    standing.setBodyEnabled(collision);
+    walking.setBodyEnabled(collision);
+    runFrames(walking, 30);
+    return [walking, standing];
+};
+
+test("pass through other player without collision", () => {
+    const [walking] = createTwoPlayers(false);
+    runFrames(walking, 60, new Vec2(1, 0));
+    assert.ok(walking.pos.x > 400);
+});
+
+test("be blocked by other player with collision", () => {
+    const [walking, standing] = createTwoPlayers(true);
+    runFrames(walking, 60, new Vec2(1, 0));
+    assert.strictEqual(walking.movementInfo.currentModeMode, MoveMode.walking);
+    const gap = standing.pos.x - walking.pos.x - walking.capsule.radius * 2;
+    assert.ok(gap > -0.5 && gap < 3);
+});
+
+test("own body does not block moving player", () => {
+    const [withBody] = createTwoPlayers(true);
+    const [withoutBody] = createTwoPlayers(false);
+    runFrames(withBody, 20, new Vec2(-1, 0));
+    runFrames(withoutBody, 20, new Vec2(-1, 0));
+    assert.deepStrictEqual(withBody.pos, withoutBody.pos);
+});
+
+test("stand on head of other player", () => {
+    const scene = createFlatScene();
+    const standing = createPlayer(scene, new Vec2(300, 370.85));
+    const falling = createPlayer(scene, new Vec2(300, 200));
+    standing.setBodyEnabled(true);
+    falling.setBodyEnabled(true);
+    runFrames(falling, 60);
+    assert.strictEqual(falling.movementInfo.currentModeMode, MoveMode.walking);
+    assert.strictEqual(falling.movementInfo.currentFloor.hitResult.polygon, standing.body);
+    const headY = standing.pos.y - standing.capsule.halfHeight - standing.capsule.radius;
+    assert.ok(falling.pos.y < headY - falling.capsule.halfHeight - falling.capsule.radius);
+});
+
+test("remove body from scene when collision is disabled", () => {
+    const [walking, standing] = createTwoPlayers(true);
+    const body = standing.body;
+    assert.ok(walking.scene.polygons.includes(body));
+    standing.setBodyEnabled(false);
+    assert.ok(!walking.scene.polygons.includes(body));
+    runFrames(walking, 60, new Vec2(1, 0));
+    assert.ok(walking.pos.x > 400);
+});
@@ -0,0 +1,69 @@
+import { createFlatScene, createPlayer, runFrames, createNet, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import DynamicProp from "../src/core/geom/dynamicProp";
+import { MoveMode } from "../src/core/player";
+
+/**
+ * @param {number} [mass]
+ * @return {() => import("../src/core/scene").default} builds flat scene with a crate from x 300 to 324 falling from y 300
+ */
+const crateScene = (mass = 50) => () => {
+    const scene = createFlatScene();
+    scene.addProp(new DynamicProp(toVec2s([[300, 300], [324, 300], [324, 324], [300, 324]]), mass));
+    return scene;
+};
+
+/**
+ * @param {number} mass
+ * @return {number} distance the crate is pushed in 30 frames from rest
+ */
+const pushDistance = (mass) => {
+    const player = createPlayer(crateScene(mass)(), new Vec2(260, 300));
+    runFrames(player, 60);
+    const crate = player.scene.props[0];
+    const startX = crate.pos.x;
+    runFrames(player, 30, new Vec2(1, 0));
+    return crate.pos.x - startX;
+};
+
+test("crate falls and rests on floor", () => {
+    const player = createPlayer(crateScene()(), new Vec2(100, 300));
+    runFrames(player, 60);
+    const crate = player.scene.props[0];
+    assert.ok(Math.abs(crate.pos.y + 12 - 400) < 1);
+    assert.strictEqual(crate.velocity.y, 0);
+    assert.strictEqual(crate.pos.x, 312);
+});
+
+test("walking player pushes crate and stays walking", () => {
+    const player = createPlayer(crateScene()(), new Vec2(260, 300));
+    runFrames(player, 60);
+    const crate = player.scene.props[0];
+    runFrames(player, 60, new Vec2(1, 0));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(crate.pos.x > 400);
+    assert.ok(player.pos.x < crate.pos.x - 12);
+    assert.ok(Math.abs(crate.pos.y + 12 - 400) < 1);
+});
+
+test("heavy prop is pushed slower", () => {
+    const light = pushDistance(50);
+    const heavy = pushDistance(300);
+    assert.ok(light > 0 && heavy > 0);
+    assert.ok(heavy < light * 0.5);
+});
+
+test("pushed crate agrees with server", () => {
+    const net = createNet(new Vec2(260, 300), crateScene());
+    net.run(60);
+    net.run(60, () => net.keys["KeyD"] = true);
+    net.run(60, () => net.keys["KeyD"] = false);
+    const clientCrate = net.client.scene.props[0];
+    const serverCrate = net.server.scene.props[0];
+    assert.ok(serverCrate.pos.x > 400);
+    assert.ok(clientCrate.pos.sub(serverCrate.pos).length() < 0.01);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,58 @@
+import { createScene, createPlayer, runFrames, recordEvents } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+// 55 degree slope down to floor at y 400
+const buildSlopeScene = () => createScene([[[0, 200], [100, 200], [240, 400], [600, 400], [600, 500], [0, 500]]]);
+
+// crevice of two unwalkable slopes
+const buildCreviceScene = () => createScene([
+    [[420, 200], [440, 200], [460, 225], [480, 200], [500, 200], [500, 235], [420, 235]],
+]);
+
+// 80 degree slope down to floor at y 370
+const buildSteepScene = () => createScene([[[0, 200], [100, 200], [130, 370], [600, 370], [600, 500], [0, 500]]]);
+
+test("slide down unwalkable slope and walk on floor at its bottom", () => {
+    const player = createPlayer(buildSlopeScene(), new Vec2(150, 200));
+    const modes = [];
+    runFrames(player, 90, new Vec2(), () => modes.push(player.movementInfo.currentModeMode));
+    assert.ok(modes.includes(MoveMode.sliding));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.x > 240);
+});
+
+test("stand in crevice instead of sliding in it forever", () => {
+    const scene = buildCreviceScene();
+    const player = createPlayer(scene, new Vec2(455, 100));
+    runFrames(player, 60);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.findFloor(player.capsule.center, null).isWalkableFloor());
+    const landed = recordEvents(player, MoveEvent.landed);
+    const pos = player.pos;
+    runFrames(player, 30);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.sub(pos).length() < 1e-3);
+    assert.strictEqual(landed.length, 0);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.velocity.y < 0);
+});
+
+test("slopes steeper than slidable floor angle are walls", () => {
+    /**
+     * @param {number} slidableFloorRadian
+     * @return {boolean} is sliding down the 80 degree slope
+     */
+    const slides = (slidableFloorRadian) => {
+        const player = createPlayer(buildSteepScene(), new Vec2(118, 150));
+        player.movementConfig.slidableFloorRadian = slidableFloorRadian;
+        let sliding = false;
+        runFrames(player, 60, new Vec2(), () => sliding = sliding || player.movementInfo.currentModeMode == MoveMode.sliding);
+        return sliding;
+    };
+    assert.ok(!slides(Math.PI * 75 / 180));
+    assert.ok(slides(Math.PI * 85 / 180));
+});
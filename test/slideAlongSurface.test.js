@@ -0,0 +1,60 @@
+import { createScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+// stair of max step height with a chamfered lip on the left, crevice of two unwalkable slopes on the right
+const buildScene = () => createScene([
+    [[0, 330], [26, 330], [30, 334], [30, 350], [600, 350], [600, 500], [0, 500]],
+    [[420, 200], [440, 200], [460, 225], [480, 200], [500, 200], [500, 235], [420, 235]],
+]);
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number} y of capsule bottom
+ */
+const feetY = (player) => player.pos.y + player.capsule.halfHeight + player.capsule.radius;
+
+test("step up over chamfered lip of stair", () => {
+    const player = createPlayer(buildScene(), new Vec2(100, 300));
+    const steps = recordEvents(player, MoveEvent.steppedUp);
+    runFrames(player, 30);
+    runFrames(player, 40, new Vec2(-1, 0));
+    assert.strictEqual(steps.length, 1);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.pos.x < 26);
+    assert.ok(Math.abs(feetY(player) - 330) < 3);
+});
+
+test("fall into crevice and rest between its slopes", () => {
+    const scene = buildScene();
+    const player = createPlayer(scene, new Vec2(450, 100));
+    runFrames(player, 40, new Vec2(1, 0));
+    const pos = player.pos;
+    runFrames(player, 30, new Vec2(1, 0));
+    assert.ok(player.pos.sub(pos).length() < 1e-3);
+    assert.ok(Math.abs(player.pos.x - 460) < 0.1);
+    assert.ok(!player.capsule.overlayTest(scene));
+});
+
+test("pushing against a slope of crevice keeps standing in it", () => {
+    const player = createPlayer(buildScene(), new Vec2(450, 100));
+    runFrames(player, 40, new Vec2(1, 0));
+    const pos = player.pos;
+    const modes = [];
+    runFrames(player, 120, new Vec2(1, 0), () => modes.push(player.movementInfo.currentModeMode));
+    assert.ok(modes.every(mode => mode == MoveMode.walking));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.deepStrictEqual(player.pos, pos);
+});
+
+test("stepping up stair agrees with server", () => {
+    const net = createNet(new Vec2(100, 300), buildScene);
+    net.run(30);
+    net.run(40, () => net.keys["KeyA"] = true);
+    net.run(30, () => net.keys["KeyA"] = false);
+    assert.ok(net.serverPlayer.pos.x < 26);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,65 @@
+import { createScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+/**
+ * @param {number} [stepHeight]
+ * @return {import("../src/core/scene").default} scene with three steps down from x 240
+ */
+const buildStairsScene = (stepHeight = 15) => {
+    const h = stepHeight;
+    return createScene([[[0, 400], [240, 400], [240, 400 + h], [280, 400 + h], [280, 400 + h * 2], [320, 400 + h * 2],
+        [320, 400 + h * 3], [600, 400 + h * 3], [600, 500], [0, 500]]]);
+};
+
+/**
+ * walk right down the stairs
+ * @param {import("../src/core/player").default} player
+ * @return {{modes: number[], walkedOff: import("../src/core/player").MoveEventData[]}} modes of each frame and walked off events
+ */
+const walkDownStairs = (player) => {
+    runFrames(player, 30);
+    const walkedOff = recordEvents(player, MoveEvent.walkedOffLedge);
+    const modes = [];
+    runFrames(player, 60, new Vec2(1, 0), () => modes.push(player.movementInfo.currentModeMode));
+    runFrames(player, 30);
+    return { modes: modes, walkedOff: walkedOff };
+};
+
+test("snap down stairs without falling", () => {
+    const player = createPlayer(buildStairsScene(), new Vec2(200, 300));
+    const { modes, walkedOff } = walkDownStairs(player);
+    assert.ok(modes.every(mode => mode == MoveMode.walking));
+    assert.strictEqual(walkedOff.length, 0);
+    assert.ok(player.pos.x > 320);
+    assert.ok(Math.abs(player.pos.y - (370.85 + 45)) < 0.3);
+});
+
+test("fall off every step without step down height", () => {
+    const player = createPlayer(buildStairsScene(), new Vec2(200, 300));
+    player.movementConfig.maxStepDownHeight = 0;
+    const { modes, walkedOff } = walkDownStairs(player);
+    assert.ok(modes.includes(MoveMode.falling));
+    // may fly over a step when falling
+    assert.ok(walkedOff.length >= 2);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+});
+
+test("fall off steps higher than step down height", () => {
+    const player = createPlayer(buildStairsScene(30), new Vec2(200, 300));
+    const { modes, walkedOff } = walkDownStairs(player);
+    assert.ok(modes.includes(MoveMode.falling));
+    assert.ok(walkedOff.length > 0);
+});
+
+test("walking down stairs agrees with server", () => {
+    const net = createNet(new Vec2(200, 300), buildStairsScene);
+    net.run(30);
+    net.run(60, () => net.keys["KeyD"] = true);
+    net.run(30, () => net.keys["KeyD"] = false);
+    assert.ok(net.serverPlayer.pos.x > 320);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
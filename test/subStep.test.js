@@ -0,0 +1,85 @@
+import { createScene, createFlatScene, createPlayer, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+
+/**
+ * @param {import("../src/core/player").default} player
+ * @return {number[]} time of each sub step from now on
+ */
+const recordTimeSteps = (player) => {
+    const timeSteps = [];
+    const startNewPhysics = player.startNewPhysics;
+    player.startNewPhysics = function(dt) {
+        timeSteps.push(dt);
+        startNewPhysics.call(this, dt);
+    };
+    return timeSteps;
+};
+
+/**
+ * update player by one long frame
+ * @param {import("../src/core/player").default} player
+ * @param {number} dt
+ */
+const runLongFrame = (player, dt) => {
+    player.scene.setTime(player.scene.time + dt);
+    player.update(dt);
+};
+
+test("split long frame into sub steps not longer than max", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 100));
+    const timeSteps = recordTimeSteps(player);
+    runLongFrame(player, 1 / 3);
+    assert.ok(timeSteps.length > 1);
+    assert.ok(timeSteps.every(dt => dt <= player.movementConfig.maxSimulationTimeStep));
+    assert.ok(Math.abs(timeSteps.reduce((a, b) => a + b) - 1 / 3) < 1e-9);
+});
+
+test("drop time beyond max iterations", () => {
+    const player = createPlayer(createFlatScene(), new Vec2(300, 100));
+    const timeSteps = recordTimeSteps(player);
+    runLongFrame(player, 2);
+    assert.strictEqual(timeSteps.length, player.movementConfig.maxIterations);
+    assert.ok(timeSteps.every(dt => dt <= player.movementConfig.maxSimulationTimeStep));
+    const maxTime = player.movementConfig.maxSimulationTimeStep * player.movementConfig.maxIterations;
+    assert.ok(timeSteps.reduce((a, b) => a + b) <= maxTime + 1e-9);
+});
+
+test("land on thin floor at low fps", () => {
+    const player = createPlayer(createScene([[[0, 400], [600, 400], [600, 404], [0, 404]]]), new Vec2(300, 100));
+    player.velocity = new Vec2(0, 1500);
+    for (let i = 0; i < 6; i++) {
+        runLongFrame(player, 1 / 3);
+    }
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(Math.abs(player.pos.y - 370.85) < 0.3);
+});
+
+test("server moves by dt of client, not by timestamps", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene, 0);
+    net.run(30);
+    // a client lying about time must not move further on server
+    net.forge = (moveMsg) => moveMsg.timestamp *= 2;
+    net.run(30, () => net.keys["KeyD"] = true);
+    net.run(30, () => net.keys["KeyD"] = false);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
+
+test("server clamps dt of client by time passed on server", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene, 0);
+    net.run(30);
+    const serverStartX = net.serverPlayer.pos.x;
+    const clientStartX = net.player.pos.x;
+    // a client claiming longer moves must not move faster on server
+    net.forge = (moveMsg) => moveMsg.dt *= 10;
+    net.run(30, () => net.keys["KeyD"] = true);
+    const serverPlayer = net.serverPlayer;
+    const serverDist = serverPlayer.pos.x - serverStartX;
+    assert.ok(serverDist <= net.player.pos.x - clientStartX + serverPlayer.maxSpeed * serverPlayer.movementConfig.maxMoveDeltaTime);
+    net.run(30, () => net.keys["KeyD"] = false);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+});
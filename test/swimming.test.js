@@ -0,0 +1,39 @@
+import { createFlatScene, createPlayer, runFrames, createNet, toVec2s } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+import { WaterVolume } from "../src/core/geom/volume";
+
+const buildPoolScene = () => {
+    const scene = createFlatScene(450);
+    scene.addVolume(new WaterVolume(toVec2s([[0, 300], [600, 300], [600, 450], [0, 450]])));
+    return scene;
+};
+
+test("falling into water starts swimming and floats at surface", () => {
+    const player = createPlayer(buildPoolScene(), new Vec2(300, 200));
+    runFrames(player, 300);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.swimming);
+    const immersionDepth = player.movementInfo.immersionDepth;
+    assert.ok(immersionDepth >= player.movementConfig.swimImmersionThreshold && immersionDepth < 1);
+    assert.ok(Math.abs(player.velocity.y) < 5);
+});
+
+test("jump out of water when head is above surface", () => {
+    const player = createPlayer(buildPoolScene(), new Vec2(300, 200));
+    runFrames(player, 300);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.velocity.y < 0);
+});
+
+test("swimming client agrees with server", () => {
+    const net = createNet(new Vec2(300, 200), buildPoolScene);
+    net.run(200);
+    net.run(60, () => net.keys["KeyD"] = true);
+    net.run(30, () => net.keys["KeyD"] = false);
+    assert.strictEqual(net.player.movementInfo.currentModeMode, MoveMode.swimming);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,79 @@
+import { createScene, createFlatScene, createPlayer, runFrames, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveMode } from "../src/core/player";
+
+// block from x 300 to 400 on floor at y 400
+const buildBlockScene = () => createScene([
+    [[0, 400], [600, 400], [600, 500], [0, 500]],
+    [[300, 300], [400, 300], [400, 400], [300, 400]],
+]);
+
+test("teleport into geometry moves to nearest free spot and walks there", () => {
+    const player = createPlayer(buildBlockScene(), new Vec2(100, 300));
+    runFrames(player, 30);
+    assert.ok(player.teleportTo(new Vec2(350, 300)));
+    assert.ok(!player.isEncroached(player.pos));
+    assert.ok(player.pos.y < 300);
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.walking);
+    assert.ok(player.movementInfo.currentFloor.isWalkableFloor());
+    assert.strictEqual(player.movementInfo.teleportCount, 1);
+});
+
+test("teleport fails quietly without free spot", () => {
+    const player = createPlayer(createScene([[[0, 0], [600, 0], [600, 500], [0, 500]]]), new Vec2(300, 300));
+    const warn = console.warn;
+    let warned = false;
+    console.warn = () => warned = true;
+    const teleported = player.teleportTo(new Vec2(300, 300));
+    console.warn = warn;
+    assert.ok(!teleported);
+    assert.ok(!warned);
+    assert.strictEqual(player.movementInfo.teleportCount, 0);
+});
+
+test("server rejects teleport requested by client by default", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene);
+    net.run(30);
+    const serverPos = net.serverPlayer.pos;
+    assert.ok(net.player.teleportTo(new Vec2(500, 300)));
+    net.run(60);
+    assert.ok(net.serverPlayer.pos.sub(serverPos).length() < 0.01);
+    assert.ok(net.player.pos.sub(serverPos).length() < 0.01);
+    assert.ok(net.corrections > 0);
+    assert.ok(net.serverError < 0.01);
+});
+
+test("server does not take forged teleport position", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene);
+    net.run(30);
+    net.serverPlayer.acceptTeleportRequest = (pos) => pos.x < 300 ? pos : null;
+    net.forge = (moveMsg) => moveMsg.moveState.pendingTeleport = new Vec2(500, 300);
+    net.run(30);
+    assert.ok(net.serverPlayer.pos.x < 150);
+    assert.strictEqual(net.serverPlayer.movementInfo.teleportCount, 0);
+});
+
+test("teleport accepted by server agrees with client", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene);
+    net.run(30);
+    net.serverPlayer.acceptTeleportRequest = (pos) => pos;
+    assert.ok(net.player.teleportTo(new Vec2(500, 300)));
+    net.run(60);
+    assert.ok(Math.abs(net.serverPlayer.pos.x - 500) < 0.01);
+    assert.strictEqual(net.serverPlayer.movementInfo.teleportCount, 1);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});
+
+test("client takes teleport of server", () => {
+    const net = createNet(new Vec2(100, 300), createFlatScene);
+    net.run(30);
+    assert.ok(net.serverPlayer.teleportTo(new Vec2(500, 300)));
+    assert.strictEqual(net.serverPlayer.movementInfo.teleportCount, 1);
+    net.run(60);
+    assert.ok(Math.abs(net.player.pos.x - 500) < 0.01);
+    assert.strictEqual(net.player.movementInfo.teleportCount, 1);
+    assert.ok(net.serverError < 0.01);
+});
@@ -0,0 +1,52 @@
+import { createScene, createPlayer, runFrames, recordEvents, createNet } from "./helper";
+import test from "node:test";
+import assert from "assert";
+import Vec2 from "../src/algebra/vec2";
+import { MoveEvent, MoveMode } from "../src/core/player";
+
+// wall on the right up to the top of scene, so there is no ledge to grab
+const buildWallScene = () => createScene([
+    [[400, 0], [600, 0], [600, 500], [400, 500]],
+    [[0, 480], [400, 480], [400, 500], [0, 500]],
+]);
+
+test("slide down a wall when falling and pushing into it", () => {
+    const player = createPlayer(buildWallScene(), new Vec2(380, 100));
+    runFrames(player, 40, new Vec2(1, 0));
+    assert.strictEqual(player.movementInfo.currentModeMode, MoveMode.falling);
+    assert.ok(player.movementInfo.isWallSliding);
+    assert.ok(player.velocity.y <= player.movementConfig.wallSlideMaxFallSpeed + 1e-6);
+    assert.strictEqual(player.getAnimeKey(0), "wallSliding");
+    // stop pushing and fall freely
+    runFrames(player, 10);
+    assert.ok(!player.movementInfo.isWallSliding);
+    assert.strictEqual(player.getAnimeKey(0), "falling");
+});
+
+test("wall jump kicks away from wall and gives back air jump", () => {
+    const player = createPlayer(buildWallScene(), new Vec2(380, 100));
+    player.movementConfig.maxJumpCount = 2;
+    // use up the air jump
+    runFrames(player, 1, new Vec2(1, 0), () => player.jump());
+    player.stopJumping();
+    runFrames(player, 40, new Vec2(1, 0));
+    const jumps = recordEvents(player, MoveEvent.jumped);
+    runFrames(player, 1, new Vec2(1, 0), () => player.jump());
+    assert.strictEqual(jumps.length, 1);
+    assert.ok(jumps[0].hit.blockingHit);
+    assert.ok(player.velocity.x < 0 && player.velocity.y < 0);
+    assert.strictEqual(player.movementInfo.jumpCount, 1);
+    player.stopJumping();
+    runFrames(player, 10);
+    runFrames(player, 1, new Vec2(), () => player.jump());
+    assert.strictEqual(jumps.length, 2);
+});
+
+test("wall slide and wall jump agree with server", () => {
+    const net = createNet(new Vec2(380, 100), buildWallScene);
+    net.run(40, () => net.keys["KeyD"] = true);
+    net.run(2, (frame) => net.keys["Space"] = frame == 0);
+    net.run(40, () => net.keys["KeyD"] = false);
+    assert.strictEqual(net.corrections, 0);
+    assert.ok(net.serverError < 0.01);
+});